@@ -0,0 +1,42 @@
+/**
+ * Community aggregate job
+ * Computes the platform-wide Wrapped for a year and stores it in the
+ * wrapped_community table. Run it after the year's gifting settles (or
+ * on a schedule during the year):
+ *
+ *   npm run aggregate -- --year 2024
+ */
+
+import dotenv from 'dotenv';
+import { createClient } from '@supabase/supabase-js';
+import { computeCommunityAggregate, saveCommunityAggregate } from '../src/services/community.js';
+
+dotenv.config();
+
+const yearFlag = process.argv.indexOf('--year');
+const year = yearFlag !== -1 ? parseInt(process.argv[yearFlag + 1]) : new Date().getFullYear();
+
+if (isNaN(year)) {
+  console.error('Usage: npm run aggregate -- --year <year>');
+  process.exit(1);
+}
+
+// The aggregate reads every purchase and writes the result, so it needs the service role key
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+if (!supabaseUrl || !supabaseServiceKey) {
+  console.error('Missing Supabase credentials. Please set SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY');
+  process.exit(1);
+}
+
+const supabase = createClient(supabaseUrl, supabaseServiceKey);
+
+try {
+  const aggregate = await computeCommunityAggregate(supabase, year);
+  await saveCommunityAggregate(supabase, aggregate);
+  console.log(`Stored ${year} community aggregate: ${aggregate.totals.gifts} gifts from ${aggregate.totals.gifters} gifters`);
+} catch (error) {
+  console.error(`Error computing ${year} community aggregate:`, error);
+  process.exit(1);
+}
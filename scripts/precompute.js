@@ -0,0 +1,138 @@
+/**
+ * Precompute job
+ * Calculates every profile's Wrapped for a year ahead of launch:
+ *
+ *   npm run precompute -- --year 2025
+ *   npm run precompute -- --year 2025 --output ./wrapped-2025 --concurrency 8
+ *
+ * Results go to the wrapped_results table, or to one JSON file per profile
+ * with --output. Each profile is calculated as its owner (a token signed
+ * with SUPABASE_JWT_SECRET), so stored results match what the data route
+ * shows them; --as-service calculates with the service role instead, for
+ * projects where row-level security doesn't narrow an owner's view.
+ * Progress is checkpointed after every page of profiles, so re-running the
+ * same command after a crash resumes where it stopped; pass --fresh to
+ * start over.
+ */
+
+import dotenv from 'dotenv';
+import { mkdir, readFile, rename, writeFile } from 'fs/promises';
+import path from 'path';
+import { createClient } from '@supabase/supabase-js';
+import { loadConfig } from '../src/config/appConfig.js';
+import { createSupabaseClients, createUserToken } from '../src/config/supabase.js';
+import { precomputeYear, savePrecomputed, DEFAULT_PRECOMPUTE_OPTIONS } from '../src/services/precompute.js';
+
+dotenv.config();
+
+/**
+ * Read `--name value` and `--flag` arguments
+ */
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith('--')) continue;
+    const name = argv[i].slice(2);
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith('--')) {
+      args[name] = true;
+    } else {
+      args[name] = next;
+      i++;
+    }
+  }
+  return args;
+}
+
+const args = parseArgs(process.argv.slice(2));
+const year = args.year ? parseInt(args.year) : new Date().getFullYear();
+const intArg = (name) => (args[name] !== undefined ? parseInt(args[name]) : DEFAULT_PRECOMPUTE_OPTIONS[name]);
+const runOptions = {
+  pageSize: intArg('pageSize'),
+  concurrency: intArg('concurrency'),
+  retries: intArg('retries'),
+};
+
+if (isNaN(year) || Object.values(runOptions).some(value => isNaN(value) || value < 0)) {
+  console.error('Usage: npm run precompute -- --year <year> [--output <dir>] [--concurrency <n>] [--pageSize <n>] [--retries <n>] [--checkpoint <file>] [--fresh] [--as-service]');
+  process.exit(1);
+}
+
+// Every profile is read and results are written, so this needs the service role key
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+if (!supabaseUrl || !supabaseServiceKey) {
+  console.error('Missing Supabase credentials. Please set SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY');
+  process.exit(1);
+}
+
+const supabase = createClient(supabaseUrl, supabaseServiceKey);
+
+// Queries as each profile's owner go through the anon key with a signed user token
+const config = loadConfig();
+const jwtSecret = process.env.SUPABASE_JWT_SECRET;
+let clientForOwner;
+if (!args['as-service']) {
+  if (!jwtSecret || !config.supabaseKey) {
+    console.error('Missing SUPABASE_JWT_SECRET or SUPABASE_ANON_KEY to calculate as each profile\'s owner. Pass --as-service if row-level security doesn\'t narrow what owners see');
+    process.exit(1);
+  }
+  const { forUser } = createSupabaseClients(config);
+  clientForOwner = (ownerId) => forUser(createUserToken(ownerId, jwtSecret));
+}
+
+const checkpointPath = args.checkpoint || `.precompute-${year}.json`;
+
+/**
+ * Load the checkpoint left by an earlier run, if any
+ */
+async function loadCheckpoint() {
+  if (args.fresh) return undefined;
+  try {
+    const checkpoint = JSON.parse(await readFile(checkpointPath, 'utf8'));
+    return checkpoint.year === year ? checkpoint : undefined;
+  } catch (error) {
+    if (error.code === 'ENOENT') return undefined;
+    throw error;
+  }
+}
+
+/**
+ * Save the checkpoint via a temp file, so a crash mid-write can't corrupt it
+ */
+async function saveCheckpoint(checkpoint) {
+  await writeFile(`${checkpointPath}.tmp`, JSON.stringify(checkpoint, null, 2));
+  await rename(`${checkpointPath}.tmp`, checkpointPath);
+}
+
+const write = args.output
+  ? async (data) => {
+    await mkdir(args.output, { recursive: true });
+    await writeFile(path.join(args.output, `${data.profileId}.json`), JSON.stringify(data));
+  }
+  : (data) => savePrecomputed(supabase, data);
+
+try {
+  const checkpoint = await precomputeYear(supabase, year, {
+    ...runOptions,
+    write,
+    checkpoint: await loadCheckpoint(),
+    saveCheckpoint,
+    clientForOwner,
+    ownerColumn: config.profileOwnerColumn,
+    calculation: {
+      homemadeSignals: process.env.HOMEMADE_SIGNALS,
+    },
+  });
+
+  console.log(`Finished ${year} precompute: ${checkpoint.processed} profiles, ${checkpoint.failed.length} failed`);
+  if (checkpoint.failed.length > 0) {
+    console.log(`Failed profiles: ${checkpoint.failed.join(', ')}`);
+    process.exitCode = 1;
+  }
+} catch (error) {
+  console.error(`Error precomputing ${year}:`, error);
+  console.error(`Re-run the same command to resume from ${checkpointPath}`);
+  process.exit(1);
+}
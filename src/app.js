@@ -0,0 +1,311 @@
+/**
+ * App factory
+ * Builds the Express app from a config object and a set of data clients.
+ * The local server (src/server.js) and the Vercel handler (api/index.js)
+ * both use it, so routes and middleware are written once, and tests can
+ * run the whole HTTP surface in-process with fake clients.
+ */
+
+import express from 'express';
+import cors from 'cors';
+import { createMemoryCache } from './services/cache.js';
+import { createCorsOptions } from './config/cors.js';
+import { loadConfig, missingSettings } from './config/appConfig.js';
+import { createSupabaseClients } from './config/supabase.js';
+import { createAuthMiddleware } from './middleware/auth.js';
+import { getWrappedData, invalidateProfile } from './services/wrappedCache.js';
+import { createShareToken, verifyShareToken, revokeShare } from './services/shareTokens.js';
+import { redactWrappedData, resolvePrivacy } from './services/shareRedaction.js';
+import { renderSlide, SLIDE_NAMES } from './services/slides.js';
+import { compareYears, MAX_COMPARISON_YEARS } from './services/comparison.js';
+import { loadCommunityAggregate } from './services/community.js';
+import { calculateGroupData, redactGroupData, MAX_GROUP_SIZE } from './services/groupWrapped.js';
+import { validate } from './middleware/validate.js';
+import {
+  dataSchema,
+  profileSchema,
+  compareSchema,
+  slideSchema,
+  createShareSchema,
+  revokeShareSchema,
+  groupDataSchema,
+  storedGroupSchema,
+  communitySchema,
+} from './middleware/schemas.js';
+import { asyncHandler, errorHandler, notFoundHandler } from './middleware/errors.js';
+import { createRequestContext } from './middleware/requestContext.js';
+import { ConfigurationError, GoneError, NotFoundError, ValidationError, ERROR_CODES } from './services/errors.js';
+import { logger as defaultLogger } from './services/logger.js';
+
+/**
+ * Create the Express app
+ * @param {Object} config - AppConfig (defaults to loadConfig() from the environment)
+ * @param {Object} deps - Dependencies, each optional
+ * @param {Object} deps.clients - DataClients { supabase, serviceClient, shareClient, forUser } (defaults to Supabase clients built from config)
+ * @param {import('./services/cache.js').CacheStore} deps.cache - Cache store (defaults to an in-memory store)
+ * @param {Object} deps.logger - Base logger (defaults to the process logger)
+ * @returns {Object} Express app
+ */
+export function createApp(config = loadConfig(), deps = {}) {
+  const logger = deps.logger || defaultLogger;
+  const { supabase, forUser, shareClient = supabase, serviceClient = shareClient } = deps.clients || createSupabaseClients(config);
+  const { shareSecret } = config;
+
+  // Without credentials the app still starts, and routes that need Supabase return 500 NOT_CONFIGURED
+  const missing = deps.clients ? [] : missingSettings(config);
+  if (missing.length > 0) {
+    logger.error('Missing Supabase credentials', { missing });
+  }
+
+  const app = express();
+
+  // Request IDs and per-request loggers (req.log)
+  app.use(createRequestContext(logger));
+  // CORS configuration (allowed origins come from CORS_ALLOWED_ORIGINS)
+  app.use(cors(createCorsOptions(config.allowedOrigins)));
+  app.use(express.json());
+
+  // Verifies the caller's Supabase JWT and profile ownership
+  const { requireUser, requireProfileAccess, requireProfilesAccess, requireGroupAccess } = createAuthMiddleware(supabase, {
+    forUser,
+    profileOwnerColumn: config.profileOwnerColumn,
+  });
+
+  // Wrapped results cache (pass a shared CacheStore in production)
+  const cache = deps.cache || createMemoryCache();
+
+  // Health check endpoint
+  app.get('/health', (req, res) => {
+    res.json({ status: 'ok', service: 'gava-wrapped' });
+  });
+
+  // Main endpoint: Calculate wrapped data for a profile
+  app.get('/api/patient/:patientId/data', requireUser, validate(dataSchema), requireProfileAccess, asyncHandler(async (req, res) => {
+    const { patientId } = req.valid.params;
+    const { year, target, lastMinuteDays, earlyBirdDays, streakPeriod, tz, currency, activityResolution, activityFrom, activityTo } = req.valid.query;
+
+    // The activity range has to fall inside the requested year
+    const outsideYear = [['activityFrom', activityFrom], ['activityTo', activityTo]]
+      .filter(([, date]) => date && !date.startsWith(`${year}-`));
+    if (outsideYear.length > 0) {
+      throw new ValidationError(`Activity range must fall within ${year}`, outsideYear.map(([field]) => ({ field: `query.${field}`, message: `must be a date in ${year}` })));
+    }
+    if (activityFrom && activityTo && activityFrom > activityTo) {
+      throw new ValidationError('activityFrom must not be after activityTo', [{ field: 'query.activityFrom', message: 'must not be after activityTo' }]);
+    }
+
+    // Calculate wrapped data (or serve it from the cache)
+    // Queries run as the caller; the community aggregate and cache invalidations
+    // use the service client, since row-level security hides other people's rows
+    const { data: wrappedData, etag } = await getWrappedData(cache, req.supabase, patientId, year, {
+      timing: { target, lastMinuteDays, earlyBirdDays },
+      streakPeriod,
+      activity: { resolution: activityResolution, from: activityFrom, to: activityTo },
+      timeZone: tz,
+      currency,
+      homemadeSignals: config.homemadeSignals,
+      populationClient: serviceClient,
+      invalidationClient: serviceClient,
+      logger: req.log,
+    });
+
+    // Let clients revalidate with If-None-Match instead of re-downloading
+    res.set('ETag', etag);
+    res.set('Cache-Control', 'private, no-cache');
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+
+    res.json(wrappedData);
+  }));
+
+  // Drop cached wrapped data for a profile (e.g. after a purchase or list change)
+  app.delete('/api/patient/:patientId/cache', requireUser, validate(profileSchema), requireProfileAccess, asyncHandler(async (req, res) => {
+    const { patientId } = req.valid.params;
+
+    await invalidateProfile(serviceClient, patientId, req.log);
+
+    res.json({ status: 'ok', patientId });
+  }));
+
+  // Compare wrapped stats across years
+  app.get('/api/patient/:patientId/compare', requireUser, validate(compareSchema), requireProfileAccess, asyncHandler(async (req, res) => {
+    const { patientId } = req.valid.params;
+    const { to, target, lastMinuteDays, earlyBirdDays, streakPeriod, tz, currency } = req.valid.query;
+
+    // Defaults to this year against last year
+    const from = req.valid.query.from ?? to - 1;
+
+    if (from > to) {
+      throw new ValidationError('from must not be after to', [{ field: 'query.from', message: 'must not be after to' }]);
+    }
+    if (to - from + 1 > MAX_COMPARISON_YEARS) {
+      throw new ValidationError(`Comparisons can cover at most ${MAX_COMPARISON_YEARS} years`, [
+        { field: 'query.from', message: `must be within ${MAX_COMPARISON_YEARS - 1} years of to` },
+      ]);
+    }
+
+    const comparison = await compareYears(req.supabase, patientId, from, to, {
+      timing: { target, lastMinuteDays, earlyBirdDays },
+      streakPeriod,
+      timeZone: tz,
+      currency,
+      homemadeSignals: config.homemadeSignals,
+      populationClient: serviceClient,
+      logger: req.log,
+    });
+
+    res.json(comparison);
+  }));
+
+  // Render a wrapped stat as an SVG slide
+  app.get('/api/patient/:patientId/slides/:slide.svg', requireUser, validate(slideSchema), requireProfileAccess, asyncHandler(async (req, res) => {
+    const { patientId, slide } = req.valid.params;
+    const { year, theme, tz, currency } = req.valid.query;
+
+    if (!SLIDE_NAMES.includes(slide)) {
+      throw new NotFoundError(`Unknown slide. Available slides: ${SLIDE_NAMES.join(', ')}`, ERROR_CODES.SLIDE_NOT_FOUND);
+    }
+
+    const { data: wrappedData } = await getWrappedData(cache, req.supabase, patientId, year, {
+      timeZone: tz,
+      currency,
+      homemadeSignals: config.homemadeSignals,
+      populationClient: serviceClient,
+      invalidationClient: serviceClient,
+      logger: req.log,
+    });
+
+    const svg = await renderSlide(slide, wrappedData, { theme });
+
+    res.set('Content-Type', 'image/svg+xml');
+    res.set('Cache-Control', 'private, max-age=300');
+    res.send(svg);
+  }));
+
+  // Create a share link for a profile's wrapped data
+  app.post('/api/patient/:patientId/share', requireUser, validate(createShareSchema), requireProfileAccess, asyncHandler(async (req, res) => {
+    if (!shareSecret) {
+      throw new ConfigurationError('Sharing is not configured. Please set SHARE_TOKEN_SECRET in environment variables.');
+    }
+
+    const { patientId } = req.valid.params;
+    const { year, privacy, expiresInDays } = req.valid.body;
+
+    const share = createShareToken({
+      profileId: patientId,
+      year,
+      privacy: resolvePrivacy(privacy),
+      expiresInDays,
+    }, shareSecret);
+
+    res.status(201).json({
+      ...share,
+      url: `/api/share/${share.token}`,
+    });
+  }));
+
+  // Revoke a share link
+  app.delete('/api/patient/:patientId/share/:shareId', requireUser, validate(revokeShareSchema), requireProfileAccess, asyncHandler(async (req, res) => {
+    const { patientId, shareId } = req.valid.params;
+
+    await revokeShare(serviceClient, patientId, shareId);
+    req.log.info('Revoked share', { profileId: patientId, shareId });
+
+    res.json({ status: 'ok', shareId });
+  }));
+
+  // Group wrapped for a set of profiles the caller owns (e.g. a parent and their children)
+  app.get('/api/group/data', requireUser, validate(groupDataSchema), requireProfilesAccess, asyncHandler(async (req, res) => {
+    const { profiles, year, target, lastMinuteDays, earlyBirdDays, streakPeriod, tz, currency } = req.valid.query;
+
+    const group = await calculateGroupData(req.supabase, profiles, year, {
+      timing: { target, lastMinuteDays, earlyBirdDays },
+      streakPeriod,
+      timeZone: tz,
+      currency,
+      homemadeSignals: config.homemadeSignals,
+      populationClient: serviceClient,
+      logger: req.log,
+    });
+
+    res.set('Cache-Control', 'private, max-age=300');
+    res.json(group);
+  }));
+
+  // Group wrapped for a stored group the caller belongs to
+  app.get('/api/group/:groupId/data', requireUser, validate(storedGroupSchema), requireGroupAccess, asyncHandler(async (req, res) => {
+    const { groupId } = req.valid.params;
+    const { year, target, lastMinuteDays, earlyBirdDays, streakPeriod, tz, currency } = req.valid.query;
+
+    if (req.groupMembers.length > MAX_GROUP_SIZE) {
+      throw new ValidationError(`Group Wrapped covers at most ${MAX_GROUP_SIZE} members`, [
+        { field: 'params.groupId', message: `must have at most ${MAX_GROUP_SIZE} members` },
+      ]);
+    }
+
+    // Other members' rows are usually hidden from the caller by row-level
+    // security, so membership is checked above, their data is read like a
+    // share view and redacted below
+    const group = await calculateGroupData(shareClient, req.groupMembers, year, {
+      groupId,
+      timing: { target, lastMinuteDays, earlyBirdDays },
+      streakPeriod,
+      timeZone: tz,
+      currency,
+      homemadeSignals: config.homemadeSignals,
+      populationClient: serviceClient,
+      logger: req.log,
+    });
+
+    res.set('Cache-Control', 'private, max-age=300');
+    res.json(redactGroupData(group, req.ownedGroupMembers));
+  }));
+
+  // Public, platform-wide wrapped for a year (computed by `npm run aggregate`)
+  app.get('/api/community/:year', validate(communitySchema), asyncHandler(async (req, res) => {
+    const { year } = req.valid.params;
+
+    const aggregate = await loadCommunityAggregate(supabase, year);
+    if (!aggregate) {
+      throw new NotFoundError(`No community aggregate has been computed for ${year}`, ERROR_CODES.COMMUNITY_NOT_FOUND);
+    }
+
+    // Distribution cut points end at individual profiles' values, so they stay server-side
+    const { distributions, ...community } = aggregate;
+
+    res.set('Cache-Control', 'public, max-age=3600');
+    res.json(community);
+  }));
+
+  // Public, redacted view of a shared wrapped
+  app.get('/api/share/:token', asyncHandler(async (req, res) => {
+    if (!shareSecret || !shareClient) {
+      throw new ConfigurationError('Sharing is not configured. Please set SHARE_TOKEN_SECRET and Supabase credentials in environment variables.');
+    }
+
+    const { valid, reason, share } = await verifyShareToken(req.params.token, shareSecret, serviceClient);
+    if (!valid) {
+      if (reason === 'invalid') {
+        throw new NotFoundError('This share link is invalid', ERROR_CODES.SHARE_NOT_FOUND);
+      }
+      throw new GoneError(`This share link is ${reason}`, reason === 'expired' ? ERROR_CODES.SHARE_EXPIRED : ERROR_CODES.SHARE_REVOKED);
+    }
+
+    const { data: wrappedData } = await getWrappedData(cache, shareClient, share.profileId, share.year, {
+      clientRole: 'share',
+      homemadeSignals: config.homemadeSignals,
+      invalidationClient: serviceClient,
+      logger: req.log,
+    });
+
+    res.set('Cache-Control', 'public, max-age=300');
+    res.json(redactWrappedData(wrappedData, share.privacy));
+  }));
+
+  // Unknown routes and errors from any route above
+  app.use(notFoundHandler);
+  app.use(errorHandler);
+
+  return app;
+}
@@ -0,0 +1,40 @@
+/**
+ * App configuration
+ * Everything the HTTP app reads from the environment, gathered into one
+ * object so createApp can be given a config directly (e.g. in tests)
+ * instead of reading process.env itself.
+ */
+
+import { parseAllowedOrigins } from './cors.js';
+
+/**
+ * Read the app configuration from environment variables
+ * @param {Object} env - Environment (defaults to process.env)
+ * @returns {Object} AppConfig
+ */
+export function loadConfig(env = process.env) {
+  return {
+    port: parseInt(env.PORT) || 3000,
+    supabaseUrl: env.SUPABASE_URL,
+    supabaseKey: env.SUPABASE_ANON_KEY,
+    // Lets public share views read past row-level security
+    supabaseServiceKey: env.SUPABASE_SERVICE_ROLE_KEY,
+    shareSecret: env.SHARE_TOKEN_SECRET,
+    allowedOrigins: parseAllowedOrigins(env.CORS_ALLOWED_ORIGINS),
+    // profiles column holding the Supabase auth user id that owns the profile
+    profileOwnerColumn: env.PROFILE_OWNER_COLUMN || 'user_id',
+    homemadeSignals: env.HOMEMADE_SIGNALS,
+  };
+}
+
+/**
+ * Settings the app can't serve profile routes without
+ * @param {Object} config - AppConfig from loadConfig
+ * @returns {string[]} Names of missing environment variables
+ */
+export function missingSettings(config) {
+  const missing = [];
+  if (!config.supabaseUrl) missing.push('SUPABASE_URL');
+  if (!config.supabaseKey) missing.push('SUPABASE_ANON_KEY');
+  return missing;
+}
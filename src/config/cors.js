@@ -0,0 +1,55 @@
+/**
+ * CORS configuration
+ * Allowed origins come from CORS_ALLOWED_ORIGINS (comma-separated);
+ * without it, only the Gava app and local dev servers are allowed.
+ */
+
+import { logger } from '../services/logger.js';
+
+const DEFAULT_ALLOWED_ORIGINS = [
+  'https://gava.vercel.app',
+  'https://www.gava.vercel.app',
+  'http://localhost:3000',
+  'http://localhost:3001',
+  'http://localhost:5173',
+  'http://localhost:5174',
+];
+
+/**
+ * Parse the allowed origins list
+ * @param {string} value - Comma-separated origins (e.g. process.env.CORS_ALLOWED_ORIGINS)
+ * @returns {string[]} Allowed origins
+ */
+export function parseAllowedOrigins(value) {
+  const origins = (value || '')
+    .split(',')
+    .map(origin => origin.trim().replace(/\/$/, ''))
+    .filter(Boolean);
+  return origins.length > 0 ? origins : DEFAULT_ALLOWED_ORIGINS;
+}
+
+/**
+ * Build options for the cors middleware
+ * @param {string[]} allowedOrigins - Origins allowed to call the API
+ * @returns {Object} cors options
+ */
+export function createCorsOptions(allowedOrigins = DEFAULT_ALLOWED_ORIGINS) {
+  return {
+    origin: function (origin, callback) {
+      // Allow requests with no origin (like mobile apps, Postman, etc.)
+      if (!origin) return callback(null, true);
+
+      if (allowedOrigins.includes(origin)) {
+        callback(null, true);
+      } else {
+        // No CORS headers, so the browser blocks the response
+        logger.warn('Blocked CORS request', { origin });
+        callback(null, false);
+      }
+    },
+    credentials: true,
+    methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-Request-Id'],
+    exposedHeaders: ['X-Request-Id'],
+  };
+}
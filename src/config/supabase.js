@@ -0,0 +1,59 @@
+/**
+ * Supabase clients
+ * The app uses four kinds of client: a shared anon client (verifying
+ * tokens), a client per caller so row-level security applies, a service
+ * client for the service's own tables and year-wide data, and a share
+ * client for public share views. createApp takes them as one object, so
+ * tests can pass a fake in their place.
+ */
+
+import { createHmac } from 'crypto';
+import { createClient } from '@supabase/supabase-js';
+
+/**
+ * Create the Supabase clients for a config
+ * @param {Object} config - AppConfig from loadConfig
+ * @returns {{ supabase: Object|null, serviceClient: Object|null, shareClient: Object|null, forUser: Function|null }} DataClients
+ *   forUser(token) returns a client whose queries run as that caller; all are null without credentials
+ */
+export function createSupabaseClients({ supabaseUrl, supabaseKey, supabaseServiceKey }) {
+  if (!supabaseUrl || !supabaseKey) {
+    return { supabase: null, serviceClient: null, shareClient: null, forUser: null };
+  }
+
+  const supabase = createClient(supabaseUrl, supabaseKey);
+  // Reads past row-level security when the service role key is set
+  const serviceClient = supabaseServiceKey ? createClient(supabaseUrl, supabaseServiceKey) : supabase;
+  return {
+    supabase,
+    serviceClient,
+    // Public share views have no caller token, so they use the service client
+    shareClient: serviceClient,
+    forUser: (token) => createClient(supabaseUrl, supabaseKey, {
+      global: { headers: { Authorization: `Bearer ${token}` } },
+      auth: { persistSession: false, autoRefreshToken: false },
+    }),
+  };
+}
+
+/**
+ * Sign a Supabase access token for a user, as Supabase Auth would
+ * Lets batch jobs query as a profile's owner (via forUser) so row-level
+ * security gives them the same view the owner gets.
+ * @param {string} userId - Auth user id (the token's sub)
+ * @param {string} jwtSecret - The project's JWT secret (SUPABASE_JWT_SECRET)
+ * @param {number} ttlSeconds - Lifetime in seconds (default one hour)
+ * @returns {string} HS256-signed JWT
+ */
+export function createUserToken(userId, jwtSecret, ttlSeconds = 60 * 60) {
+  const now = Math.floor(Date.now() / 1000);
+  const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const unsigned = `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode({
+    sub: String(userId),
+    role: 'authenticated',
+    aud: 'authenticated',
+    iat: now,
+    exp: now + ttlSeconds,
+  })}`;
+  return `${unsigned}.${createHmac('sha256', jwtSecret).update(unsigned).digest('base64url')}`;
+}
@@ -0,0 +1,184 @@
+/**
+ * Authentication middleware
+ * Verifies the Supabase JWT from the Authorization header, checks the
+ * caller owns the requested profile, profiles or group (or is an admin),
+ * and attaches a Supabase client that runs queries as the caller so
+ * row-level security applies.
+ */
+
+import { ConfigurationError, ERROR_CODES, ForbiddenError, NotFoundError, UnauthorizedError, UpstreamError } from '../services/errors.js';
+import { loadGroupMembers } from '../services/groupWrapped.js';
+
+// Role in the user's app_metadata that may read any profile
+const ADMIN_ROLE = 'admin';
+
+/**
+ * Extract the bearer token from a request
+ * @param {Object} req - Express request
+ * @returns {string|null} Token or null
+ */
+function bearerToken(req) {
+  const header = req.get('Authorization') || '';
+  const match = /^Bearer\s+(.+)$/i.exec(header);
+  return match ? match[1].trim() : null;
+}
+
+/**
+ * Whether a Supabase user has the admin role
+ * @param {Object} user - Supabase auth user
+ * @returns {boolean} True for admins
+ */
+export function isAdmin(user) {
+  const metadata = user?.app_metadata || {};
+  return metadata.role === ADMIN_ROLE || (Array.isArray(metadata.roles) && metadata.roles.includes(ADMIN_ROLE));
+}
+
+/**
+ * Create the auth middleware
+ * @param {Object|null} supabase - Shared anon Supabase client (used to verify tokens)
+ * @param {Object} options - Auth options
+ * @param {Function} options.forUser - (token) => client whose queries run as the caller
+ * @param {string} options.profileOwnerColumn - profiles column holding the owner's auth user id (default 'user_id')
+ * @returns {{ requireUser: Function, requireProfileAccess: Function, requireProfilesAccess: Function, requireGroupAccess: Function }}
+ *   Express middleware
+ */
+export function createAuthMiddleware(supabase, { forUser, profileOwnerColumn = 'user_id' }) {
+  /**
+   * Verify the caller's token and attach req.user and req.supabase
+   * Failures go to the error handler (401, or 500 when unconfigured).
+   */
+  async function requireUser(req, res, next) {
+    try {
+      if (!supabase || !forUser) {
+        throw new ConfigurationError('Supabase credentials not configured. Please set SUPABASE_URL and SUPABASE_ANON_KEY in environment variables.');
+      }
+
+      const token = bearerToken(req);
+      if (!token) {
+        throw new UnauthorizedError('Missing bearer token');
+      }
+
+      const { data, error } = await supabase.auth.getUser(token);
+      if (error || !data?.user) {
+        throw new UnauthorizedError('Invalid or expired token');
+      }
+
+      req.user = data.user;
+      // Queries made with this client run as the caller, so RLS applies
+      req.supabase = forUser(token);
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Only let the profile's owner (or an admin) through
+   * Must run after requireUser (and after params validation, so
+   * patientId is a number). Failures go to the error handler as 403s.
+   */
+  async function requireProfileAccess(req, res, next) {
+    try {
+      if (isAdmin(req.user)) return next();
+
+      const { patientId } = req.params;
+      const { data: profile, error } = await req.supabase
+        .from('profiles')
+        .select(`id, ${profileOwnerColumn}`)
+        .eq('id', patientId)
+        .maybeSingle();
+
+      if (error) {
+        throw new UpstreamError('Failed to verify profile access', error);
+      }
+
+      // Missing and not-owned profiles look the same so IDs can't be probed
+      if (!profile || String(profile[profileOwnerColumn]) !== String(req.user.id)) {
+        throw new ForbiddenError('You do not have access to this profile');
+      }
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Only let the owner of every profile in ?profiles= (or an admin) through
+   * Must run after requireUser and query validation.
+   */
+  async function requireProfilesAccess(req, res, next) {
+    try {
+      if (isAdmin(req.user)) return next();
+
+      const { profiles: profileIds } = req.valid.query;
+      const { data: owned, error } = await req.supabase
+        .from('profiles')
+        .select('id')
+        .in('id', profileIds)
+        .eq(profileOwnerColumn, req.user.id);
+
+      if (error) {
+        throw new UpstreamError('Failed to verify profile access', error);
+      }
+
+      const ownedIds = new Set((owned || []).map(profile => String(profile.id)));
+      if (!profileIds.every(profileId => ownedIds.has(String(profileId)))) {
+        throw new ForbiddenError('You do not have access to every profile in this group');
+      }
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Only let members of a stored group (or an admin) through
+   * A caller is a member when they own one of the group's profiles. Must
+   * run after requireUser and params validation; sets req.groupMembers
+   * to the group's profile IDs and req.ownedGroupMembers to the ones the
+   * caller owns (all of them for admins).
+   */
+  async function requireGroupAccess(req, res, next) {
+    try {
+      const { groupId } = req.valid.params;
+      const members = await loadGroupMembers(req.supabase, groupId);
+
+      if (isAdmin(req.user)) {
+        if (members.length === 0) {
+          throw new NotFoundError(`No group with id ${groupId}`, ERROR_CODES.GROUP_NOT_FOUND);
+        }
+        req.groupMembers = members;
+        req.ownedGroupMembers = members;
+        return next();
+      }
+
+      const { data: owned, error } = members.length > 0
+        ? await req.supabase
+          .from('profiles')
+          .select('id')
+          .in('id', members)
+          .eq(profileOwnerColumn, req.user.id)
+        : { data: [], error: null };
+
+      if (error) {
+        throw new UpstreamError('Failed to verify group access', error);
+      }
+
+      // Missing groups and other people's groups look the same so IDs can't be probed
+      if (!owned || owned.length === 0) {
+        throw new ForbiddenError('You are not a member of this group');
+      }
+
+      req.groupMembers = members;
+      req.ownedGroupMembers = owned.map(profile => profile.id);
+      next();
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  return { requireUser, requireProfileAccess, requireProfilesAccess, requireGroupAccess };
+}
@@ -0,0 +1,55 @@
+/**
+ * Error handling middleware
+ * Routes throw (or reject with) the errors in src/services/errors.js and
+ * these handlers turn them into JSON responses with a stable `code`.
+ */
+
+import { NotFoundError, ValidationError, toErrorResponse } from '../services/errors.js';
+import { logger } from '../services/logger.js';
+
+/**
+ * Wrap an async route handler so rejections reach the error handler
+ * (Express 4 doesn't forward them on its own)
+ * @param {Function} handler - Async (req, res, next) handler
+ * @returns {Function} Express handler
+ */
+export function asyncHandler(handler) {
+  return (req, res, next) => {
+    Promise.resolve(handler(req, res, next)).catch(next);
+  };
+}
+
+/**
+ * 404 for requests no route matched
+ */
+export function notFoundHandler(req, res, next) {
+  next(new NotFoundError(`No route for ${req.method} ${req.path}`));
+}
+
+/**
+ * Send an error as JSON
+ * Server-side failures are logged with their cause; their messages are
+ * only returned when they were written for clients (AppError). The
+ * request ID is included so a failing call can be found in the logs. Express
+ * recognises error handlers by their four parameters, so `next` stays.
+ */
+export function errorHandler(error, req, res, next) {
+  // express.json() rejects malformed bodies with a SyntaxError
+  const appError = error?.type === 'entity.parse.failed'
+    ? new ValidationError('Request body must be valid JSON', [{ field: 'body', message: 'must be valid JSON' }])
+    : error;
+
+  const { status, body } = toErrorResponse(appError);
+  const log = req.log || logger;
+  if (status >= 500) {
+    log.error('Request failed', { method: req.method, status, error });
+  } else {
+    log.debug('Request rejected', { method: req.method, status, code: body.code });
+  }
+  if (req.id) body.requestId = req.id;
+
+  if (res.headersSent) {
+    return next(error);
+  }
+  res.status(status).json(body);
+}
@@ -0,0 +1,42 @@
+/**
+ * Request context middleware
+ * Gives every request a correlation ID, taken from the caller's
+ * X-Request-Id header when it looks safe or generated otherwise, echoes it
+ * in the response and attaches req.log, a logger whose lines all carry it.
+ * Routes pass req.log down to the calculator so its lines carry it too.
+ */
+
+import { randomUUID } from 'crypto';
+import { logger as defaultLogger } from '../services/logger.js';
+
+export const REQUEST_ID_HEADER = 'X-Request-Id';
+
+// Caller-supplied IDs end up in every log line, so keep them short and plain
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+/**
+ * Create the request context middleware
+ * @param {Object} logger - Base logger (defaults to the process logger)
+ * @returns {Function} Express middleware setting req.id and req.log
+ */
+export function createRequestContext(logger = defaultLogger) {
+  return function requestContext(req, res, next) {
+    const incoming = req.get(REQUEST_ID_HEADER);
+    req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : randomUUID();
+    req.log = logger.child({ requestId: req.id });
+    res.set(REQUEST_ID_HEADER, req.id);
+
+    const startedAt = Date.now();
+    res.on('finish', () => {
+      // The route pattern rather than the URL, since share URLs carry tokens
+      req.log.info('Request finished', {
+        method: req.method,
+        route: req.route ? `${req.baseUrl}${req.route.path}` : null,
+        status: res.statusCode,
+        durationMs: Date.now() - startedAt,
+      });
+    });
+
+    next();
+  };
+}
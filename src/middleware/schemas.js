@@ -0,0 +1,124 @@
+/**
+ * Request schemas
+ * Params, query and body rules for each route (see validate.js).
+ */
+
+import { isValidTimeZone } from '../services/timezone.js';
+import { isSupportedCurrency } from '../services/currency.js';
+import { isValidTimingTarget } from '../services/purchaseTiming.js';
+import { STREAK_PERIODS } from '../services/streaks.js';
+import { SLIDE_THEMES } from '../services/slideThemes.js';
+import { MAX_GROUP_SIZE } from '../services/groupWrapped.js';
+import { ACTIVITY_RESOLUTIONS, isValidDateKey } from '../services/activity.js';
+
+// Years a Wrapped can be requested for
+export const MIN_YEAR = 2000;
+export const MAX_YEAR = 2100;
+
+const currentYear = () => new Date().getFullYear();
+
+const year = (defaultYear) => ({ type: 'integer', min: MIN_YEAR, max: MAX_YEAR, default: defaultYear });
+
+const profileParams = {
+  patientId: { type: 'integer', min: 1, required: true },
+};
+
+// Options shared by every route that calculates a Wrapped
+const calculationQuery = {
+  tz: {
+    type: 'string',
+    check: isValidTimeZone,
+    message: 'must be an IANA timezone, e.g. America/Los_Angeles',
+  },
+  currency: {
+    type: 'string',
+    check: isSupportedCurrency,
+    message: 'must be a supported currency code, e.g. EUR',
+    transform: value => value.toUpperCase(),
+  },
+};
+
+// Timing and streak options (data and compare routes)
+const statsQuery = {
+  ...calculationQuery,
+  target: {
+    type: 'string',
+    check: isValidTimingTarget,
+    message: "must be 'christmas', 'birthday' or a date as MM-DD",
+  },
+  lastMinuteDays: { type: 'integer', min: 0, max: 365 },
+  earlyBirdDays: { type: 'integer', min: 0, max: 365 },
+  streakPeriod: { type: 'enum', values: STREAK_PERIODS },
+};
+
+export const profileSchema = {
+  params: profileParams,
+};
+
+// Activity timeline resolution and range; the route checks the range against the year
+const activityDate = { type: 'string', check: isValidDateKey, message: 'must be a date as YYYY-MM-DD' };
+
+export const dataSchema = {
+  params: profileParams,
+  query: {
+    ...statsQuery,
+    year: year(currentYear),
+    activityResolution: { type: 'enum', values: ACTIVITY_RESOLUTIONS },
+    activityFrom: activityDate,
+    activityTo: activityDate,
+  },
+};
+
+// from defaults to the year before `to`, so the route fills it in
+export const compareSchema = {
+  params: profileParams,
+  query: { ...statsQuery, from: year(), to: year(currentYear) },
+};
+
+export const slideSchema = {
+  params: { ...profileParams, slide: { type: 'string', required: true } },
+  query: {
+    ...calculationQuery,
+    year: year(currentYear),
+    theme: { type: 'enum', values: Object.keys(SLIDE_THEMES) },
+  },
+};
+
+export const createShareSchema = {
+  params: profileParams,
+  body: {
+    year: year(currentYear),
+    expiresInDays: { type: 'integer', min: 1 },
+    privacy: {
+      type: 'object',
+      fields: {
+        spending: { type: 'enum', values: ['range', 'hidden', 'exact'] },
+        names: { type: 'enum', values: ['initials', 'hidden'] },
+        showItems: { type: 'boolean' },
+      },
+    },
+  },
+};
+
+export const revokeShareSchema = {
+  params: { ...profileParams, shareId: { type: 'string', required: true } },
+};
+
+// An ad-hoc group: every profile in ?profiles=1,2,3
+export const groupDataSchema = {
+  query: {
+    ...statsQuery,
+    year: year(currentYear),
+    profiles: { type: 'integerList', min: 1, minItems: 2, maxItems: MAX_GROUP_SIZE, required: true },
+  },
+};
+
+// A stored group (group_member rows)
+export const storedGroupSchema = {
+  params: { groupId: { type: 'integer', min: 1, required: true } },
+  query: { ...statsQuery, year: year(currentYear) },
+};
+
+export const communitySchema = {
+  params: { year: { type: 'integer', min: MIN_YEAR, max: MAX_YEAR, required: true } },
+};
@@ -0,0 +1,147 @@
+/**
+ * Request validation
+ * Routes declare a schema for their params, query and body; the validate
+ * middleware checks the request against it and puts the parsed values on
+ * req.valid, or rejects it with a ValidationError listing every problem.
+ *
+ * A schema maps field names to rules:
+ *   { type: 'integer', min, max }   whole numbers (query strings are parsed)
+ *   { type: 'integerList', min, minItems, maxItems }
+ *                                   comma-separated whole numbers (or a JSON array),
+ *                                   duplicates dropped, order kept
+ *   { type: 'string', check, message, transform }
+ *   { type: 'enum', values }
+ *   { type: 'boolean' }             true/false, or 'true'/'false' in query strings
+ *   { type: 'object', fields }      nested schema (request bodies)
+ * Any rule can add `required: true` or a `default` (a value or a function
+ * returning one). Fields not in the schema are ignored.
+ */
+
+import { ValidationError } from '../services/errors.js';
+
+const INTEGER = /^-?\d+$/;
+
+const isEmpty = (value) => value === undefined || value === null || value === '';
+
+/**
+ * Check one value against its rule
+ * @returns {{ value?: any, error?: string }}
+ */
+function parseField(rule, raw) {
+  if (Array.isArray(raw) && rule.type !== 'object' && rule.type !== 'integerList') {
+    return { error: 'must be given once' };
+  }
+
+  switch (rule.type) {
+    case 'integer': {
+      const value = typeof raw === 'number' ? raw : (INTEGER.test(String(raw).trim()) ? parseInt(raw) : NaN);
+      const inRange = Number.isInteger(value)
+        && (rule.min === undefined || value >= rule.min)
+        && (rule.max === undefined || value <= rule.max);
+      if (inRange) return { value };
+      if (rule.min !== undefined && rule.max !== undefined) return { error: `must be a whole number from ${rule.min} to ${rule.max}` };
+      if (rule.min !== undefined) return { error: `must be a whole number of at least ${rule.min}` };
+      return { error: 'must be a whole number' };
+    }
+    case 'integerList': {
+      const entries = Array.isArray(raw) ? raw : String(raw).split(',');
+      const values = entries.map(entry => (typeof entry === 'number' ? entry : (INTEGER.test(String(entry).trim()) ? parseInt(entry) : NaN)));
+      if (values.some(value => !Number.isInteger(value) || (rule.min !== undefined && value < rule.min))) {
+        return { error: rule.min !== undefined ? `must be a comma-separated list of whole numbers of at least ${rule.min}` : 'must be a comma-separated list of whole numbers' };
+      }
+      const unique = [...new Set(values)];
+      if (rule.minItems !== undefined && unique.length < rule.minItems) return { error: `must list at least ${rule.minItems} different values` };
+      if (rule.maxItems !== undefined && unique.length > rule.maxItems) return { error: `must list at most ${rule.maxItems} values` };
+      return { value: unique };
+    }
+    case 'string': {
+      if (typeof raw !== 'string') return { error: 'must be a string' };
+      if (rule.check && !rule.check(raw)) return { error: rule.message || 'is not valid' };
+      return { value: rule.transform ? rule.transform(raw) : raw };
+    }
+    case 'enum':
+      return rule.values.includes(raw)
+        ? { value: raw }
+        : { error: `must be one of ${rule.values.join(', ')}` };
+    case 'boolean':
+      if (raw === true || raw === 'true') return { value: true };
+      if (raw === false || raw === 'false') return { value: false };
+      return { error: 'must be true or false' };
+    case 'object':
+      if (typeof raw !== 'object' || Array.isArray(raw)) return { error: 'must be an object' };
+      return { value: raw };
+    default:
+      throw new Error(`Unknown validation rule type: ${rule.type}`);
+  }
+}
+
+/**
+ * Check a group of values (params, query or body) against a schema
+ * @param {Object} schema - Field name -> rule
+ * @param {Object} input - Raw values
+ * @param {string} prefix - Field path prefix for error details, e.g. 'query'
+ * @param {Array} errors - Collects { field, message } problems
+ * @returns {Object} Parsed values (fields left out of the request are omitted unless they have a default)
+ */
+function parseGroup(schema, input, prefix, errors) {
+  const values = {};
+  Object.entries(schema).forEach(([name, rule]) => {
+    const field = `${prefix}.${name}`;
+    const raw = input?.[name];
+
+    if (isEmpty(raw)) {
+      if (rule.required) {
+        errors.push({ field, message: 'is required' });
+      } else if (rule.default !== undefined) {
+        values[name] = typeof rule.default === 'function' ? rule.default() : rule.default;
+      }
+      return;
+    }
+
+    const { value, error } = parseField(rule, raw);
+    if (error) {
+      errors.push({ field, message: error });
+    } else if (rule.type === 'object' && rule.fields) {
+      values[name] = parseGroup(rule.fields, value, field, errors);
+    } else {
+      values[name] = value;
+    }
+  });
+  return values;
+}
+
+/**
+ * Validate a request's params, query and body
+ * @param {Object} input - { params, query, body }
+ * @param {Object} schemas - { params, query, body } schemas (each optional)
+ * @returns {{ params: Object, query: Object, body: Object }} Parsed values
+ * @throws {ValidationError} When anything fails
+ */
+export function validateRequest(input, schemas) {
+  const errors = [];
+  const valid = {};
+  ['params', 'query', 'body'].forEach(group => {
+    valid[group] = schemas[group] ? parseGroup(schemas[group], input[group], group, errors) : {};
+  });
+
+  if (errors.length > 0) {
+    throw new ValidationError(errors.map(({ field, message }) => `${field} ${message}`).join('; '), errors);
+  }
+  return valid;
+}
+
+/**
+ * Middleware that validates the request and sets req.valid
+ * @param {Object} schemas - { params, query, body } schemas (each optional)
+ * @returns {Function} Express middleware
+ */
+export function validate(schemas) {
+  return (req, res, next) => {
+    try {
+      req.valid = validateRequest(req, schemas);
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
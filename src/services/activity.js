@@ -0,0 +1,211 @@
+/**
+ * Activity timeline service
+ * Counts items added to the profile's own lists and items bought per
+ * day, week or month, and per weekday and hour, on the calendar of the
+ * dataset's timezone. The series covers every period in the range, empty
+ * ones included, so it can be drawn as a heatmap as-is.
+ */
+
+import { zonedDayNumber, zonedParts, zonedTime } from './timezone.js';
+import { periodIndex, periodStart } from './streaks.js';
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+export const ACTIVITY_RESOLUTIONS = ['days', 'weeks', 'months'];
+// Monthly by default so stored and shared results stay small; days are opt-in
+export const DEFAULT_ACTIVITY_RESOLUTION = 'months';
+
+export const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Parts of the day by starting hour, for "you shop most on Sunday nights"
+const PARTS_OF_DAY = [
+  { name: 'night', from: 0 },
+  { name: 'morning', from: 5 },
+  { name: 'afternoon', from: 12 },
+  { name: 'evening', from: 17 },
+  { name: 'night', from: 21 },
+];
+
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+/**
+ * Whether a value is a real YYYY-MM-DD date
+ * @param {string} value - Date string
+ * @returns {boolean}
+ */
+export function isValidDateKey(value) {
+  const match = DATE_PATTERN.exec(String(value || ''));
+  if (!match) return false;
+  const date = new Date(Date.UTC(parseInt(match[1]), parseInt(match[2]) - 1, parseInt(match[3])));
+  return date.toISOString().startsWith(value);
+}
+
+/**
+ * Part of the day an hour falls in
+ * @param {number} hour - 0-23
+ * @returns {string} 'morning', 'afternoon', 'evening' or 'night'
+ */
+export function partOfDay(hour) {
+  return PARTS_OF_DAY.filter(part => hour >= part.from).pop().name;
+}
+
+/**
+ * Index of the period containing an instant, at a resolution
+ * @returns {number} Consecutive periods have consecutive indexes
+ */
+function bucketIndex(date, resolution, timeZone) {
+  return resolution === 'days' ? zonedDayNumber(date, timeZone) : periodIndex(date, resolution, timeZone);
+}
+
+/**
+ * First day of a period, at a resolution
+ * @returns {string} YYYY-MM-DD
+ */
+function bucketStart(index, resolution) {
+  return resolution === 'days' ? new Date(index * MS_PER_DAY).toISOString().split('T')[0] : periodStart(index, resolution);
+}
+
+/**
+ * Calendar parts of an instant, with the weekday (0 = Sunday)
+ * @returns {{ year: number, month: number, day: number, hour: number, weekday: number }}
+ */
+function localParts(date, timeZone) {
+  const parts = zonedParts(date, timeZone);
+  return { ...parts, weekday: new Date(Date.UTC(parts.year, parts.month, parts.day)).getUTCDay() };
+}
+
+/**
+ * Resolve the activity range within the dataset's year
+ * @param {Object} dataset - Scoped dataset (yearStart, yearEnd, timeZone)
+ * @param {Object} options - { from, to } as YYYY-MM-DD local dates, each optional
+ * @returns {{ start: Date, end: Date }} Instants, clamped to the year
+ */
+function resolveRange(dataset, { from, to }) {
+  const { yearStart, yearEnd, timeZone } = dataset;
+  const localMidnight = (key, dayOffset = 0) => {
+    const [year, month, day] = key.split('-').map(Number);
+    return zonedTime(year, month - 1, day + dayOffset, timeZone);
+  };
+
+  const start = isValidDateKey(from) ? localMidnight(from) : yearStart;
+  const end = isValidDateKey(to) ? new Date(localMidnight(to, 1).getTime() - 1) : yearEnd;
+  return {
+    start: start > yearStart ? start : yearStart,
+    end: end < yearEnd ? end : yearEnd,
+  };
+}
+
+/**
+ * Timestamps of items added to the profile's own lists and items bought
+ * Items someone else suggested aren't counted as added, as for mostActiveDay.
+ * @param {Object} dataset - Dataset from loadWrappedDataset
+ * @param {Array} purchasedItems - Items this profile bought during the year
+ * @returns {{ added: Date[], purchased: Date[] }}
+ */
+export function activityEvents(dataset, purchasedItems) {
+  const ownListIds = new Set(dataset.ownLists.map(list => String(list.id)));
+  return {
+    added: dataset.listItems
+      .filter(item => ownListIds.has(String(item.list_id)) && !item.suggested_by && item.created_at)
+      .map(item => new Date(item.created_at)),
+    purchased: purchasedItems.map(item => new Date(dataset.purchasesById[item.purchase_id].created_at)),
+  };
+}
+
+/**
+ * Activity timeline, heatmap grid and highlights for a profile's year
+ * @param {Object} dataset - Scoped dataset from scopeDataset
+ * @param {Array} purchasedItems - Items this profile bought during the year
+ * @param {Object} options - Activity options
+ * @param {string} options.resolution - Series period: 'days', 'weeks' or 'months' (default)
+ * @param {string} options.from - First local date to include, YYYY-MM-DD (defaults to Jan 1)
+ * @param {string} options.to - Last local date to include, YYYY-MM-DD (defaults to Dec 31)
+ * @returns {Object} ActivityTimeline: { resolution, from, to, series, weekdayHours, peakWeek, quietestMonth, busiestTime }
+ */
+export function summarizeActivity(dataset, purchasedItems, options = {}) {
+  const { timeZone } = dataset;
+  const resolution = ACTIVITY_RESOLUTIONS.includes(options.resolution) ? options.resolution : DEFAULT_ACTIVITY_RESOLUTION;
+  const { start, end } = resolveRange(dataset, options);
+
+  const inRange = (date) => date >= start && date <= end;
+  const events = activityEvents(dataset, purchasedItems);
+  const added = events.added.filter(inRange);
+  const purchased = events.purchased.filter(inRange);
+
+  // added/purchased counts per period index, for one resolution
+  const countBy = (bucketResolution) => {
+    const counts = new Map();
+    const countFor = (index) => {
+      if (!counts.has(index)) counts.set(index, { added: 0, purchased: 0 });
+      return counts.get(index);
+    };
+    added.forEach(date => countFor(bucketIndex(date, bucketResolution, timeZone)).added++);
+    purchased.forEach(date => countFor(bucketIndex(date, bucketResolution, timeZone)).purchased++);
+    return counts;
+  };
+
+  // Every period in the range, empty ones included
+  const periods = (bucketResolution) => {
+    const counts = countBy(bucketResolution);
+    const first = bucketIndex(start, bucketResolution, timeZone);
+    const last = bucketIndex(end, bucketResolution, timeZone);
+    return Array.from({ length: last - first + 1 }, (_, i) => ({
+      start: bucketStart(first + i, bucketResolution),
+      ...(counts.get(first + i) || { added: 0, purchased: 0 }),
+    }));
+  };
+
+  // Weekday x hour grid; weekdayHours.purchased[0][20] is Sundays from 8pm
+  const grid = () => Array.from({ length: 7 }, () => new Array(24).fill(0));
+  const weekdayHours = { added: grid(), purchased: grid() };
+  added.forEach(date => {
+    const { weekday, hour } = localParts(date, timeZone);
+    weekdayHours.added[weekday][hour]++;
+  });
+  const purchasesBySlot = {};
+  purchased.forEach(date => {
+    const { weekday, hour } = localParts(date, timeZone);
+    weekdayHours.purchased[weekday][hour]++;
+    const slot = `${weekday}:${partOfDay(hour)}`;
+    purchasesBySlot[slot] = (purchasesBySlot[slot] || 0) + 1;
+  });
+
+  // Week with the most purchases (earliest on ties)
+  const peakWeek = periods('weeks')
+    .reduce((peak, week) => (week.purchased > (peak?.purchased || 0) ? week : peak), null);
+
+  // Month with the least activity (earliest on ties); nothing to compare without any activity
+  const quietestMonth = added.length + purchased.length === 0
+    ? null
+    : periods('months').reduce((quietest, month) => (
+      !quietest || month.added + month.purchased < quietest.added + quietest.purchased ? month : quietest
+    ), null);
+
+  // Weekday and part of the day with the most purchases (earliest in the week on ties)
+  const busiestSlot = Object.entries(purchasesBySlot)
+    .sort(([a, aCount], [b, bCount]) => bCount - aCount || parseInt(a) - parseInt(b))[0];
+  const busiestTime = busiestSlot
+    ? {
+      weekday: parseInt(busiestSlot[0]),
+      weekdayName: WEEKDAYS[parseInt(busiestSlot[0])],
+      partOfDay: busiestSlot[0].split(':')[1],
+      purchased: busiestSlot[1],
+    }
+    : null;
+
+  const localDate = (date) => {
+    const { year, month, day } = localParts(date, timeZone);
+    return `${year}-${String(month + 1).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+  };
+
+  return {
+    resolution,
+    from: localDate(start),
+    to: localDate(end),
+    series: periods(resolution),
+    weekdayHours,
+    peakWeek,
+    quietestMonth: quietestMonth && { month: quietestMonth.start.slice(0, 7), added: quietestMonth.added, purchased: quietestMonth.purchased },
+    busiestTime,
+  };
+}
@@ -0,0 +1,56 @@
+/**
+ * Cache store
+ * Any object implementing the CacheStore interface can back the Wrapped
+ * cache, so production can swap the in-memory store for a shared one
+ * (Redis, a Supabase table, Vercel KV...) without touching the routes.
+ */
+
+/**
+ * @typedef {Object} CacheStore
+ * @property {(key: string) => Promise<*>} get - Value for key, or undefined when missing/expired
+ * @property {(key: string, value: *, ttlMs: number) => Promise<void>} set - Store value for ttlMs
+ * @property {(key: string) => Promise<void>} delete - Remove key
+ */
+
+// Entries kept before the oldest are evicted
+const DEFAULT_MAX_ENTRIES = 1000;
+
+/**
+ * Create an in-memory cache store
+ * Used locally and in tests; on Vercel each function instance has its own copy.
+ * @param {Object} options - Store options
+ * @param {number} options.maxEntries - Entries kept before the oldest are evicted
+ * @param {() => number} options.now - Clock, for tests (defaults to Date.now)
+ * @returns {CacheStore} Cache store
+ */
+export function createMemoryCache({ maxEntries = DEFAULT_MAX_ENTRIES, now = Date.now } = {}) {
+  const entries = new Map();
+
+  return {
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return undefined;
+      if (entry.expiresAt <= now()) {
+        entries.delete(key);
+        return undefined;
+      }
+      // Move to the end so frequently read keys survive eviction
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry.value;
+    },
+
+    async set(key, value, ttlMs) {
+      // Re-insert so Map order tracks recency for eviction
+      entries.delete(key);
+      entries.set(key, { value, expiresAt: now() + ttlMs });
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+
+    async delete(key) {
+      entries.delete(key);
+    },
+  };
+}
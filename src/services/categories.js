@@ -0,0 +1,103 @@
+/**
+ * Category inference service
+ * Uses an explicit list_item.category value when present, otherwise
+ * classifies items by keywords in the title and by retailer using the
+ * dictionary in src/data/categoryKeywords.json
+ */
+
+import { createRequire } from 'module';
+import { normalizeRetailer } from './retailers.js';
+
+const require = createRequire(import.meta.url);
+
+/**
+ * Category dictionary: key -> { label, keywords, retailers }
+ * Order matters: earlier categories win ties.
+ */
+export const CATEGORY_KEYWORDS = require('../data/categoryKeywords.json');
+
+// Category for items nothing matched
+export const OTHER_CATEGORY = 'Other';
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Compiled keyword patterns, keyed by dictionary object
+const patternCache = new WeakMap();
+
+/**
+ * Compile whole-word keyword patterns for a dictionary
+ * @param {Object} dictionary - Category dictionary
+ * @returns {Array<{ label: string, patterns: RegExp[], retailers: string[] }>}
+ */
+function compileDictionary(dictionary) {
+  if (!patternCache.has(dictionary)) {
+    patternCache.set(dictionary, Object.values(dictionary).map(category => ({
+      label: category.label,
+      patterns: (category.keywords || []).map(keyword => new RegExp(`\\b${escapeRegExp(keyword.toLowerCase())}\\b`)),
+      retailers: category.retailers || [],
+    })));
+  }
+  return patternCache.get(dictionary);
+}
+
+/**
+ * Work out the category for a single item
+ * @param {Object} item - list_item row (title, link, and category if the column exists)
+ * @param {Object} dictionary - Category dictionary (defaults to CATEGORY_KEYWORDS)
+ * @returns {string} Category label
+ */
+export function classifyCategory(item, dictionary = CATEGORY_KEYWORDS) {
+  // An explicit category column always wins
+  if (typeof item.category === 'string' && item.category.trim()) {
+    return item.category.trim();
+  }
+
+  const categories = compileDictionary(dictionary);
+  const title = (item.title || '').toLowerCase();
+
+  // Most keyword hits wins; earlier categories win ties
+  let best = null;
+  let bestHits = 0;
+  categories.forEach(category => {
+    const hits = category.patterns.filter(pattern => pattern.test(title)).length;
+    if (hits > bestHits) {
+      best = category;
+      bestHits = hits;
+    }
+  });
+  if (best) return best.label;
+
+  // Fall back to what the retailer sells
+  const retailer = normalizeRetailer(item.link);
+  const byRetailer = categories.find(category => category.retailers.includes(retailer));
+  return byRetailer ? byRetailer.label : OTHER_CATEGORY;
+}
+
+/**
+ * Build a per-category histogram of purchased items
+ * @param {Array} items - list_item rows
+ * @param {Object} dictionary - Category dictionary (defaults to CATEGORY_KEYWORDS)
+ * @returns {{ mostPopularCategory: string, categoryBreakdown: Array<{ category: string, count: number, spend: number }> }}
+ */
+export function summarizeCategories(items, dictionary = CATEGORY_KEYWORDS) {
+  const byCategory = {};
+  items.forEach(item => {
+    const category = classifyCategory(item, dictionary);
+    if (!byCategory[category]) {
+      byCategory[category] = { category, count: 0, spend: 0 };
+    }
+    byCategory[category].count++;
+    byCategory[category].spend += parseFloat(item.price) || 0;
+  });
+
+  const categoryBreakdown = Object.values(byCategory)
+    .sort((a, b) => b.count - a.count || b.spend - a.spend);
+
+  // Other is reported in the histogram but never "most popular"
+  const top = categoryBreakdown.find(entry => entry.category !== OTHER_CATEGORY);
+
+  return {
+    mostPopularCategory: top ? top.category : '',
+    categoryBreakdown,
+  };
+}
@@ -0,0 +1,194 @@
+/**
+ * Community aggregate service
+ * Platform-wide totals for a year ("Wrapped for everyone") and the
+ * distribution of each per-user stat and santa score metric across the
+ * year's gifters. The aggregate is computed in a batch job and stored in
+ * the wrapped_community table, so each profile's Wrapped and santa score
+ * can be ranked against it without loading the whole population per
+ * request.
+ */
+
+import { summarizeGiving } from './wrappedStats.js';
+import { summarizeRetailers, OTHER_RETAILER } from './retailers.js';
+import { summarizeCategories } from './categories.js';
+import { summarizeHomemade } from './homemade.js';
+import { summarizePurchaseTiming, DEFAULT_TIMING_OPTIONS } from './purchaseTiming.js';
+import { loadYearPopulation } from './population.js';
+import { zonedYearRange } from './timezone.js';
+import { PERCENTILE_STATS, quantileCutPoints } from './percentiles.js';
+import { santaMetrics, SANTA_METRICS } from './santaScore.js';
+import { UpstreamError } from './errors.js';
+import { logger } from './logger.js';
+
+// Table the batch job writes to, one row per year
+export const COMMUNITY_TABLE = 'wrapped_community';
+
+// Number of retailers and categories listed in the community totals
+const TOP_COMMUNITY_ENTRIES = 5;
+
+// Stored aggregates are reused for this long before being re-read
+const AGGREGATE_TTL_MS = 60 * 60 * 1000;
+
+const aggregateCache = new Map();
+
+/**
+ * Per-user stats for every gifter in a year's population
+ * Stats use the default timing and homemade signals so everyone is
+ * measured the same way.
+ * @param {Object} population - Population from loadYearPopulation
+ * @returns {Object} Profile ID -> { totalGiftsGiven, totalGiftsReceived, ..., santa }, where santa is
+ *   the raw metrics from santaMetrics
+ */
+export function gifterStats(population) {
+  const { purchasesById, listsById, items, itemsByBuyer } = population;
+
+  // partner sets and received counts, built in one pass over every item
+  const partners = {};
+  const received = {};
+  const partnersOf = (id) => {
+    partners[id] = partners[id] || new Set();
+    return partners[id];
+  };
+  items.forEach(item => {
+    const buyerId = purchasesById[item.purchase_id]?.purchase_user;
+    const ownerId = listsById[item.list_id]?.owner_user_id;
+    if (!buyerId || !ownerId || String(buyerId) === String(ownerId)) return;
+    partnersOf(buyerId).add(String(ownerId));
+    partnersOf(ownerId).add(String(buyerId));
+    received[ownerId] = (received[ownerId] || 0) + 1;
+  });
+
+  const statsByProfile = {};
+  Object.entries(itemsByBuyer).forEach(([buyerId, buyerItems]) => {
+    const giving = summarizeGiving(buyerItems);
+    const timing = summarizePurchaseTiming(buyerItems, purchasesById, listsById, {}, DEFAULT_TIMING_OPTIONS);
+    statsByProfile[buyerId] = {
+      totalGiftsGiven: giving.totalGiftsGiven,
+      totalGiftsReceived: received[buyerId] || 0,
+      totalSpending: giving.totalSpending,
+      mostExpensiveGift: giving.mostExpensiveGift.price,
+      peopleExchangedWith: partners[buyerId]?.size || 0,
+      lastMinutePurchases: timing.lastMinute,
+      homemadeGifts: summarizeHomemade(buyerItems).count,
+      santa: santaMetrics(buyerItems, listsById, timing, buyerId),
+    };
+  });
+  return statsByProfile;
+}
+
+/**
+ * Build the community aggregate from a year's population
+ * @param {Object} population - Population from loadYearPopulation
+ * @param {number} year - The year the population covers
+ * @returns {Object} CommunityAggregate
+ */
+export function buildCommunityAggregate(population, year) {
+  const { purchasesById, itemsByBuyer } = population;
+  const purchasedItems = Object.values(itemsByBuyer).flat();
+
+  const { totalSpending } = summarizeGiving(purchasedItems);
+  const { retailerBreakdown } = summarizeRetailers(purchasedItems);
+  const { mostPopularCategory, categoryBreakdown } = summarizeCategories(purchasedItems);
+
+  // Day with the most gifts bought
+  const itemsByDate = {};
+  purchasedItems.forEach(item => {
+    const dateKey = new Date(purchasesById[item.purchase_id].created_at).toISOString().split('T')[0]; // YYYY-MM-DD
+    itemsByDate[dateKey] = (itemsByDate[dateKey] || 0) + 1;
+  });
+  let busiestShoppingDay = null;
+  Object.entries(itemsByDate).forEach(([date, itemCount]) => {
+    if (itemCount > (busiestShoppingDay?.itemCount || 0)) {
+      busiestShoppingDay = { date, itemCount };
+    }
+  });
+
+  const statsByProfile = Object.values(gifterStats(population));
+  const distributions = {};
+  PERCENTILE_STATS.forEach(key => {
+    distributions[key] = quantileCutPoints(statsByProfile.map(stats => stats[key]));
+  });
+  distributions.santa = {};
+  SANTA_METRICS.forEach(key => {
+    distributions.santa[key] = quantileCutPoints(statsByProfile.map(stats => stats.santa[key]));
+  });
+
+  return {
+    year,
+    computedAt: new Date().toISOString(),
+    totals: {
+      gifts: purchasedItems.length,
+      spending: totalSpending,
+      gifters: statsByProfile.length,
+    },
+    topRetailers: retailerBreakdown
+      .filter(entry => entry.retailer !== OTHER_RETAILER)
+      .slice(0, TOP_COMMUNITY_ENTRIES),
+    busiestShoppingDay,
+    mostPopularCategory,
+    topCategories: categoryBreakdown.slice(0, TOP_COMMUNITY_ENTRIES),
+    populationSize: statsByProfile.length,
+    distributions,
+  };
+}
+
+/**
+ * Compute the community aggregate for a year from Supabase
+ * Reads every purchase in the year, so run it from the batch job with a
+ * client that can see all rows (e.g. the service role key).
+ * @param {Object} supabase - Supabase client instance
+ * @param {number} year - The year to aggregate
+ * @returns {Promise<Object>} CommunityAggregate
+ */
+export async function computeCommunityAggregate(supabase, year) {
+  // Gifters are in many timezones, so the community year and days are UTC
+  const { yearStart, yearEnd } = zonedYearRange(year, 'UTC');
+
+  logger.info('Loading population for the community aggregate', { year });
+  const population = await loadYearPopulation(supabase, yearStart, yearEnd);
+  return buildCommunityAggregate(population, year);
+}
+
+/**
+ * Store a community aggregate, replacing any previous one for the year
+ * @param {Object} supabase - Supabase client instance (needs write access)
+ * @param {Object} aggregate - CommunityAggregate from computeCommunityAggregate
+ */
+export async function saveCommunityAggregate(supabase, aggregate) {
+  const { error } = await supabase
+    .from(COMMUNITY_TABLE)
+    .upsert({ year: aggregate.year, data: aggregate, computed_at: aggregate.computedAt }, { onConflict: 'year' });
+
+  if (error) {
+    throw new UpstreamError('Failed to save community aggregate', error);
+  }
+  aggregateCache.delete(aggregate.year);
+}
+
+/**
+ * Load the stored community aggregate for a year
+ * Results are cached in memory for AGGREGATE_TTL_MS.
+ * @param {Object} supabase - Supabase client instance
+ * @param {number} year - The year to load
+ * @returns {Promise<Object|null>} CommunityAggregate, or null if none is stored
+ */
+export async function loadCommunityAggregate(supabase, year) {
+  const cached = aggregateCache.get(year);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.aggregate;
+  }
+
+  const { data, error } = await supabase
+    .from(COMMUNITY_TABLE)
+    .select('data')
+    .eq('year', year)
+    .maybeSingle();
+
+  if (error) {
+    throw new UpstreamError('Failed to fetch community aggregate', error);
+  }
+
+  const aggregate = data?.data || null;
+  aggregateCache.set(year, { aggregate, expiresAt: Date.now() + AGGREGATE_TTL_MS });
+  return aggregate;
+}
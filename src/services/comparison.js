@@ -0,0 +1,178 @@
+/**
+ * Year-over-year comparison service
+ * Computes WrappedData for a range of years and reports how every numeric
+ * stat changed between consecutive years, plus what was new each year.
+ */
+
+import { calculatePatientDataset } from './dataCalculator.js';
+import { selectPurchasedItems, profileName } from './wrappedStats.js';
+import { normalizeRetailer, OTHER_RETAILER } from './retailers.js';
+import { loadPurchasedItems } from './population.js';
+
+// Longest range a single comparison may cover
+export const MAX_COMPARISON_YEARS = 10;
+
+/**
+ * Flatten numeric stats into dotted paths
+ * e.g. { purchaseTiming: { earlyBird: 2 } } -> { 'purchaseTiming.earlyBird': 2 }
+ * @param {Object} stats - WrappedStats object
+ * @param {string} prefix - Path prefix
+ * @returns {Object} path -> number
+ */
+export function flattenNumericStats(stats, prefix = '') {
+  const flat = {};
+  Object.entries(stats || {}).forEach(([key, value]) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (typeof value === 'number') {
+      flat[path] = value;
+    } else if (value && typeof value === 'object' && !Array.isArray(value)) {
+      Object.assign(flat, flattenNumericStats(value, path));
+    }
+  });
+  return flat;
+}
+
+/**
+ * Delta and percentage change between two values
+ * @param {number} from - Earlier value
+ * @param {number} to - Later value
+ * @returns {{ from: number, to: number, delta: number, percentChange: number|null }}
+ *   percentChange is null when growing from zero
+ */
+export function describeChange(from, to) {
+  const delta = Math.round((to - from) * 100) / 100;
+  let percentChange;
+  if (from === 0) {
+    percentChange = to === 0 ? 0 : null;
+  } else {
+    percentChange = Math.round(((to - from) / Math.abs(from)) * 1000) / 10;
+  }
+  return { from, to, delta, percentChange };
+}
+
+/**
+ * Whether a year has any activity at all
+ * @param {Object} result - WrappedData object
+ * @returns {boolean} False when every headline count is zero
+ */
+function hasActivity(result) {
+  return result.stats.totalGiftsGiven > 0
+    || result.stats.totalGiftsReceived > 0
+    || result.listStats.totalListsCreated > 0;
+}
+
+/**
+ * Recipients (list owners) this profile bought for in a dataset's year
+ * @param {Object} dataset - Dataset from loadWrappedDataset
+ * @returns {Map<string, string>} profile ID -> name
+ */
+function recipientsOf(dataset) {
+  const recipients = new Map();
+  selectPurchasedItems(dataset).forEach(item => {
+    const ownerId = dataset.listsById[item.list_id]?.owner_user_id;
+    if (ownerId && String(ownerId) !== String(dataset.profileId)) {
+      recipients.set(String(ownerId), profileName(dataset.profilesById, ownerId));
+    }
+  });
+  return recipients;
+}
+
+/**
+ * Recipients and retailers from a profile's purchases before a dataset's year
+ * @param {Object} supabase - Supabase client instance
+ * @param {Object} dataset - Dataset from loadWrappedDataset (its purchases cover the profile's history)
+ * @returns {Promise<{ recipients: Set<string>, retailers: Set<string> }>} Profile IDs and retailer names
+ */
+async function earlierHistory(supabase, dataset) {
+  const earlierPurchaseIds = dataset.purchases
+    .filter(purchase => new Date(purchase.created_at) < dataset.yearStart)
+    .map(purchase => purchase.id);
+  const recipients = new Set();
+  const retailers = new Set();
+  if (earlierPurchaseIds.length === 0) return { recipients, retailers };
+
+  const { items, listsById } = await loadPurchasedItems(supabase, earlierPurchaseIds);
+  items.forEach(item => {
+    const ownerId = listsById[item.list_id]?.owner_user_id;
+    if (ownerId && String(ownerId) !== String(dataset.profileId)) {
+      recipients.add(String(ownerId));
+    }
+    const retailer = normalizeRetailer(item.link);
+    if (retailer !== OTHER_RETAILER) {
+      retailers.add(retailer);
+    }
+  });
+  return { recipients, retailers };
+}
+
+/**
+ * Compare a profile's Wrapped across a range of years
+ * Years with no activity yield zeros with hasData: false rather than errors.
+ * "New" recipients and retailers are ones the profile never bought for or
+ * from before that year, including before the range.
+ * @param {Object} supabase - Supabase client instance
+ * @param {number|string} profileId - Profile ID
+ * @param {number} fromYear - First year
+ * @param {number} toYear - Last year
+ * @param {Object} options - calculatePatientData options
+ * @returns {Promise<Object>} Comparison result
+ */
+export async function compareYears(supabase, profileId, fromYear, toYear, options = {}) {
+  const years = [];
+  for (let year = fromYear; year <= toYear; year++) {
+    years.push(year);
+  }
+
+  // One year at a time to keep load on Supabase predictable
+  const yearly = [];
+  for (const year of years) {
+    const { result, dataset } = await calculatePatientDataset(supabase, profileId, year, options);
+    yearly.push({ year, result, dataset });
+  }
+
+  const { recipients: seenRecipients, retailers: seenRetailers } = await earlierHistory(supabase, yearly[0].dataset);
+  const changes = [];
+
+  yearly.forEach(({ year, result, dataset }, i) => {
+    const recipients = recipientsOf(dataset);
+    const retailers = result.retailerBreakdown
+      .map(entry => entry.retailer)
+      .filter(retailer => retailer !== OTHER_RETAILER);
+
+    if (i > 0) {
+      const previous = yearly[i - 1].result;
+      const before = flattenNumericStats(previous.stats);
+      const after = flattenNumericStats(result.stats);
+      const deltas = {};
+      Object.keys({ ...before, ...after }).forEach(path => {
+        deltas[path] = describeChange(before[path] || 0, after[path] || 0);
+      });
+
+      changes.push({
+        from: yearly[i - 1].year,
+        to: year,
+        deltas,
+        newRecipients: [...recipients]
+          .filter(([id]) => !seenRecipients.has(id))
+          .map(([id, name]) => ({ profile_id: parseInt(id), name })),
+        newRetailers: retailers.filter(retailer => !seenRetailers.has(retailer)),
+      });
+    }
+
+    recipients.forEach((name, id) => seenRecipients.add(id));
+    retailers.forEach(retailer => seenRetailers.add(retailer));
+  });
+
+  return {
+    profileId: parseInt(profileId),
+    years,
+    yearly: yearly.map(({ year, result }) => ({
+      year,
+      hasData: hasActivity(result),
+      stats: result.stats,
+    })),
+    changes,
+    // Each year's warnings, tagged with the year
+    warnings: yearly.flatMap(({ year, result }) => result.warnings.map(warning => ({ year, ...warning }))),
+  };
+}
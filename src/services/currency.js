@@ -0,0 +1,236 @@
+/**
+ * Currency service
+ * Parses list_item prices and converts them between currencies using a
+ * dated rate table (src/data/exchangeRates.json, or the file named by
+ * EXCHANGE_RATES_FILE). Each purchase is converted at the rates in force
+ * on its purchase date.
+ */
+
+import { createRequire } from 'module';
+import { readFileSync } from 'fs';
+
+const require = createRequire(import.meta.url);
+
+/**
+ * Rate table: { base, rates: { 'YYYY-MM-DD': { CODE: units per 1 base } } }
+ */
+export const EXCHANGE_RATES = process.env.EXCHANGE_RATES_FILE
+  ? JSON.parse(readFileSync(process.env.EXCHANGE_RATES_FILE, 'utf8'))
+  : require('../data/exchangeRates.json');
+
+// Currency stats are compared in across profiles (santa score, percentiles, personality thresholds)
+export const BASE_CURRENCY = EXCHANGE_RATES.base;
+
+// Currency for items and profiles that don't name one
+export const DEFAULT_CURRENCY = (process.env.DEFAULT_CURRENCY || BASE_CURRENCY).toUpperCase();
+
+const CURRENCY_CODE = /^[A-Z]{3}$/;
+
+// Sorted rate dates, keyed by table
+const dateCache = new WeakMap();
+
+const sortedDates = (table) => {
+  let dates = dateCache.get(table);
+  if (!dates) {
+    dates = Object.keys(table.rates).sort();
+    dateCache.set(table, dates);
+  }
+  return dates;
+};
+
+/**
+ * Whether a currency code appears in the rate table
+ * @param {string} code - ISO 4217 code, e.g. 'EUR'
+ * @param {Object} table - Rate table (defaults to EXCHANGE_RATES)
+ * @returns {boolean}
+ */
+export function isSupportedCurrency(code, table = EXCHANGE_RATES) {
+  const upper = String(code || '').toUpperCase();
+  return CURRENCY_CODE.test(upper)
+    && Object.values(table.rates).some(rates => rates[upper] !== undefined);
+}
+
+// Currencies whose prices are usually written with a decimal comma, e.g. "1.299,00" or "12,50"
+const DECIMAL_COMMA_CURRENCIES = new Set(['EUR', 'BRL', 'CZK', 'DKK', 'NOK', 'PLN', 'SEK', 'TRY']);
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Read a number written with "," or "." as the decimal or thousands separator
+ * When both appear, the last one is the decimal separator. A single
+ * separator followed by exactly three digits ("1,299" or "1.299") is a
+ * thousands separator, unless that's how the currency writes decimals.
+ * @param {string} text - Digits and separators only
+ * @param {boolean} decimalComma - Whether the currency writes decimals with a comma
+ * @returns {number|null} The number, or null if the separators don't make sense
+ */
+function parseDecimal(text, decimalComma) {
+  const commas = (text.match(/,/g) || []).length;
+  const dots = (text.match(/\./g) || []).length;
+
+  let decimal = null;
+  if (commas > 0 && dots > 0) {
+    decimal = text.lastIndexOf(',') > text.lastIndexOf('.') ? ',' : '.';
+  } else if (commas === 1 || dots === 1) {
+    const separator = commas === 1 ? ',' : '.';
+    const grouped = text.length - text.indexOf(separator) - 1 === 3 && (separator === ',') !== decimalComma;
+    decimal = grouped ? null : separator;
+  }
+  const group = escapeRegExp(decimal === ',' || (!decimal && dots > 0) ? '.' : ',');
+
+  const parts = decimal ? text.split(decimal) : [text];
+  if (parts.length > 2) return null;
+  const [whole, fraction] = parts;
+  const wholeValid = new RegExp(`^(\\d*|\\d{1,3}(${group}\\d{3})+)$`).test(whole);
+  if (!wholeValid || (fraction !== undefined && !/^\d+$/.test(fraction)) || (whole === '' && fraction === undefined)) {
+    return null;
+  }
+  return parseFloat(`${whole.replace(/\D/g, '') || '0'}.${fraction || '0'}`);
+}
+
+/**
+ * Parse a list_item.price value
+ * Accepts numbers and strings like "19.99", "1,299.00", "$20", "15 EUR",
+ * "1.299,00 €" or "12,50".
+ * @param {number|string|null} value - Raw price
+ * @param {Object} context - Parsing context
+ * @param {string} context.currency - Currency the price is in when the string doesn't name one,
+ *   used to tell "1,299" (1299 in USD) from "1,299" (1.299 in EUR)
+ * @returns {{ amount: number, status: 'ok'|'missing'|'unparseable', currency: string|null }}
+ *   amount is 0 unless status is 'ok'; currency is a code found in the string, if any
+ */
+export function parsePrice(value, { currency: contextCurrency = null } = {}) {
+  if (value === null || value === undefined || String(value).trim() === '') {
+    return { amount: 0, status: 'missing', currency: null };
+  }
+  if (typeof value === 'number') {
+    return Number.isFinite(value) && value >= 0
+      ? { amount: value, status: 'ok', currency: null }
+      : { amount: 0, status: 'unparseable', currency: null };
+  }
+
+  let text = String(value).trim();
+  let currency = null;
+  const code = /^([A-Za-z]{3})\s*(?=[\d.,$€£¥])|(?<=[\d.,])\s*([A-Za-z]{3})$/.exec(text);
+  if (code) {
+    currency = (code[1] || code[2]).toUpperCase();
+    text = text.replace(code[0], '');
+  }
+  text = text.replace(/^[$€£¥]\s*|\s*[$€£¥]$/g, '');
+
+  const decimalComma = DECIMAL_COMMA_CURRENCIES.has(String(currency || contextCurrency || '').toUpperCase());
+  const amount = /^[\d.,]+$/.test(text) ? parseDecimal(text, decimalComma) : null;
+  if (amount === null) {
+    return { amount: 0, status: 'unparseable', currency: null };
+  }
+  return { amount, status: 'ok', currency };
+}
+
+/**
+ * Rates in force on a date (the latest table entry on or before it)
+ * Dates before the first entry use the first entry.
+ * @param {Date} date - Purchase date
+ * @param {Object} table - Rate table
+ * @returns {Object} Currency code -> units per 1 base
+ */
+export function ratesOn(date, table = EXCHANGE_RATES) {
+  const dates = sortedDates(table);
+  const key = !date || isNaN(date.getTime()) ? dates[dates.length - 1] : date.toISOString().split('T')[0];
+  let chosen = dates[0];
+  dates.forEach(entry => {
+    if (entry <= key) chosen = entry;
+  });
+  return table.rates[chosen];
+}
+
+/**
+ * Convert an amount between currencies on a date
+ * @param {number} amount - Amount in `from`
+ * @param {string} from - Source currency code
+ * @param {string} to - Target currency code
+ * @param {Date} date - Date whose rates apply (defaults to the latest rates)
+ * @param {Object} table - Rate table (defaults to EXCHANGE_RATES)
+ * @returns {number|null} Converted amount, or null when either currency has no rate
+ */
+export function convertAmount(amount, from, to, date = null, table = EXCHANGE_RATES) {
+  if (from === to) return amount;
+  const rates = ratesOn(date, table);
+  if (!rates[from] || !rates[to]) return null;
+  return (amount / rates[from]) * rates[to];
+}
+
+/**
+ * Format an amount in a currency, e.g. "$12.50" or "€12.50"
+ * @param {number} amount - Amount
+ * @param {string} currency - Currency code (defaults to DEFAULT_CURRENCY)
+ * @param {Object} format - Extra Intl.NumberFormat options (e.g. fraction digits)
+ * @returns {string}
+ */
+export function formatMoney(amount, currency = DEFAULT_CURRENCY, format = {}) {
+  try {
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency, ...format }).format(Number(amount || 0));
+  } catch {
+    return `${Number(amount || 0).toFixed(2)} ${currency}`;
+  }
+}
+
+/**
+ * Convert purchased items' prices into one currency
+ * Returns copies of the items with `price` replaced by the converted
+ * amount (so existing summaries can sum it), plus `originalPrice` and
+ * `currency`. Unparseable prices and currencies without a rate count as 0,
+ * are marked with `priceIssue` (so they aren't mistaken for free items)
+ * and are reported in `priceIssues`.
+ * @param {Array} items - Purchased list_item rows
+ * @param {Object} context - Conversion context
+ * @param {string} context.currency - Target currency
+ * @param {Object} context.purchasesById - purchase.id -> purchase row (for purchase dates)
+ * @param {string} context.fallbackCurrency - Currency for items that don't name one (e.g. the buyer's profile currency)
+ * @param {Object} context.rates - Rate table (defaults to EXCHANGE_RATES)
+ * @returns {{ items: Array, currencyBreakdown: Array<{ currency: string, count: number, spend: number, convertedSpend: number }>, priceIssues: Object }}
+ */
+export function convertItemPrices(items, { currency, purchasesById = {}, fallbackCurrency = DEFAULT_CURRENCY, rates = EXCHANGE_RATES } = {}) {
+  const byCurrency = {};
+  const issues = [];
+
+  const converted = items.map(item => {
+    const parsed = parsePrice(item.price, { currency: item.currency || fallbackCurrency });
+    const itemCurrency = String(item.currency || parsed.currency || fallbackCurrency).toUpperCase();
+
+    if (parsed.status === 'unparseable') {
+      issues.push({ id: item.id, title: item.title, price: item.price, reason: 'unparseable' });
+      return { ...item, price: 0, originalPrice: item.price, currency: itemCurrency, priceIssue: 'unparseable' };
+    }
+
+    // Missing prices stay null so homemade detection still sees them as missing
+    if (parsed.status === 'missing') {
+      return { ...item, price: null, originalPrice: item.price, currency: itemCurrency };
+    }
+
+    const purchase = purchasesById[item.purchase_id];
+    const amount = convertAmount(parsed.amount, itemCurrency, currency, purchase ? new Date(purchase.created_at) : null, rates);
+    if (amount === null) {
+      issues.push({ id: item.id, title: item.title, price: item.price, reason: 'unknownCurrency', currency: itemCurrency });
+      return { ...item, price: 0, originalPrice: item.price, currency: itemCurrency, priceIssue: 'unknownCurrency' };
+    }
+
+    byCurrency[itemCurrency] = byCurrency[itemCurrency] || { currency: itemCurrency, count: 0, spend: 0, convertedSpend: 0 };
+    byCurrency[itemCurrency].count++;
+    byCurrency[itemCurrency].spend += parsed.amount;
+    byCurrency[itemCurrency].convertedSpend += amount;
+
+    return { ...item, price: Math.round(amount * 100) / 100, originalPrice: item.price, currency: itemCurrency };
+  });
+
+  return {
+    items: converted,
+    currencyBreakdown: Object.values(byCurrency)
+      .map(entry => ({ ...entry, convertedSpend: Math.round(entry.convertedSpend * 100) / 100 }))
+      .sort((a, b) => b.convertedSpend - a.convertedSpend),
+    priceIssues: {
+      unparseable: issues.filter(issue => issue.reason === 'unparseable').length,
+      unknownCurrency: issues.filter(issue => issue.reason === 'unknownCurrency').length,
+      items: issues,
+    },
+  };
+}
@@ -0,0 +1,264 @@
+/**
+ * Data access layer for Wrapped calculations
+ * Loads everything a profile's Wrapped needs into an in-memory dataset in
+ * a fixed number of round trips, so every stat can be computed with pure
+ * functions over the dataset instead of issuing its own queries.
+ *
+ * Round trips (queries within a phase run in parallel):
+ * 1. purchase (this profile's history) + list (lists this profile owns)
+ * 2. list_item (items bought this year + items on this profile's lists)
+ * 3. purchase (others' purchases off this profile's lists) + list (recipients' lists)
+ * 4. profiles (this profile plus everyone referenced above)
+ *
+ * The loaded range can be wider than the year (e.g. before the profile's
+ * timezone is known); scopeDataset narrows it to the exact year.
+ *
+ * Failures in the first, second and fourth phases throw; the third phase
+ * only feeds secondary stats, so its failures are recorded in
+ * dataset.warnings and the Wrapped is returned without them.
+ */
+
+import { ERROR_CODES, NotFoundError, UpstreamError } from './errors.js';
+import { logger as defaultLogger, timed } from './logger.js';
+
+// Rows per request when paging through a table
+const PAGE_SIZE = 1000;
+
+/**
+ * Wrap a Supabase client so every query is counted
+ * @param {Object} supabase - Supabase client instance
+ * @param {Object} meta - Object whose queryCount is incremented
+ * @returns {Object} Client exposing `from`
+ */
+function countingClient(supabase, meta) {
+  return {
+    from(table) {
+      meta.queryCount++;
+      return supabase.from(table);
+    },
+  };
+}
+
+/**
+ * Fetch every row of a query, one page at a time
+ * @param {Function} buildQuery - Returns a fresh query builder for each page
+ * @returns {Promise<{ rows: Array, error: Object|null }>}
+ */
+async function fetchAll(buildQuery) {
+  const rows = [];
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await buildQuery().range(from, from + PAGE_SIZE - 1);
+    if (error) return { rows, error };
+    rows.push(...(data || []));
+    if (!data || data.length < PAGE_SIZE) break;
+  }
+  return { rows, error: null };
+}
+
+/**
+ * Index rows by id
+ * @param {Array} rows - Rows with an id column
+ * @param {Object} into - Existing index to add to
+ * @returns {Object} id -> row
+ */
+function indexById(rows, into = {}) {
+  rows.forEach(row => {
+    into[row.id] = row;
+  });
+  return into;
+}
+
+const inYear = (timestamp, yearStart, yearEnd) => {
+  const date = new Date(timestamp);
+  return date >= yearStart && date <= yearEnd;
+};
+
+/**
+ * Load the dataset for one profile and year
+ * @param {Object} supabase - Supabase client instance
+ * @param {number|string} profileId - The profile ID to load
+ * @param {Object} range - Date range
+ * @param {Date} range.yearStart - Start of the year
+ * @param {Date} range.yearEnd - End of the year
+ * @param {Date} range.historyEnd - Load purchase history up to this date (for streaks)
+ * @param {Object} options - Load options
+ * @param {Object} options.logger - Logger (e.g. the request's, so lines carry its requestId)
+ * @returns {Promise<Object>} Dataset with profile, purchases, lists, listItems, profilesById, warnings and meta
+ *   (meta has queryCount, durationMs and stages: query name -> milliseconds)
+ * @throws {NotFoundError} When the profile doesn't exist
+ * @throws {UpstreamError} When a required query fails
+ */
+export async function loadWrappedDataset(supabase, profileId, { yearStart, yearEnd, historyEnd }, { logger = defaultLogger } = {}) {
+  const startedAt = Date.now();
+  const meta = { queryCount: 0, durationMs: 0, stages: {} };
+  const client = countingClient(supabase, meta);
+  const log = logger.child({ profileId: String(profileId) });
+  const stage = (name, fn) => timed(meta.stages, name, fn);
+
+  // Phase 1: this profile's purchase history and the lists they own
+  log.debug('Loading purchases and lists');
+  const [purchasesResult, ownListsResult] = await Promise.all([
+    stage('purchases', () => fetchAll(() => client
+      .from('purchase')
+      .select('id, purchase_user, created_at')
+      .eq('purchase_user', profileId)
+      .lte('created_at', historyEnd.toISOString())
+      .order('created_at', { ascending: true }))),
+    stage('ownLists', () => fetchAll(() => client
+      .from('list')
+      .select('*')
+      .eq('owner_user_id', profileId)
+      .order('id', { ascending: true }))),
+  ]);
+
+  if (purchasesResult.error) {
+    log.error('Purchases fetch error', { error: purchasesResult.error });
+    throw new UpstreamError('Failed to fetch purchases', purchasesResult.error);
+  }
+  if (ownListsResult.error) {
+    log.error('Lists fetch error', { error: ownListsResult.error });
+    throw new UpstreamError('Failed to fetch lists', ownListsResult.error);
+  }
+
+  const purchases = purchasesResult.rows;
+  const ownLists = ownListsResult.rows;
+  const purchasesById = indexById(purchases);
+  const listsById = indexById(ownLists);
+  log.debug('Loaded purchases and lists', { purchases: purchases.length, ownLists: ownLists.length });
+
+  // Phase 2: items bought this year, plus every item on this profile's lists
+  const yearPurchaseIds = purchases
+    .filter(purchase => inYear(purchase.created_at, yearStart, yearEnd))
+    .map(purchase => purchase.id);
+  const ownListIds = ownLists.map(list => list.id);
+
+  let listItems = [];
+  if (yearPurchaseIds.length > 0 || ownListIds.length > 0) {
+    log.debug('Loading list items', { purchases: yearPurchaseIds.length, lists: ownListIds.length });
+    const itemsResult = await stage('listItems', () => fetchAll(() => {
+      const query = client.from('list_item').select('*');
+      const filtered = yearPurchaseIds.length > 0 && ownListIds.length > 0
+        ? query.or(`purchase_id.in.(${yearPurchaseIds.join(',')}),list_id.in.(${ownListIds.join(',')})`)
+        : yearPurchaseIds.length > 0
+          ? query.in('purchase_id', yearPurchaseIds)
+          : query.in('list_id', ownListIds);
+      return filtered.order('id', { ascending: true });
+    }));
+
+    if (itemsResult.error) {
+      log.error('List items fetch error', { error: itemsResult.error });
+      throw new UpstreamError('Failed to fetch list items', itemsResult.error);
+    }
+    listItems = itemsResult.rows;
+  }
+  log.debug('Loaded list items', { listItems: listItems.length });
+
+  // Phase 3: who bought off this profile's lists, and whose lists this profile bought from
+  const receivedPurchaseIds = [...new Set(listItems
+    .filter(item => item.purchase_id && !purchasesById[item.purchase_id])
+    .map(item => item.purchase_id))];
+  const recipientListIds = [...new Set(listItems
+    .filter(item => item.list_id && !listsById[item.list_id])
+    .map(item => item.list_id))];
+
+  const [receivedResult, recipientListsResult] = await Promise.all([
+    receivedPurchaseIds.length > 0
+      ? stage('receivedPurchases', () => fetchAll(() => client
+        .from('purchase')
+        .select('id, purchase_user, created_at')
+        .in('id', receivedPurchaseIds)
+        .order('id', { ascending: true })))
+      : { rows: [], error: null },
+    recipientListIds.length > 0
+      ? stage('recipientLists', () => fetchAll(() => client
+        .from('list')
+        .select('*')
+        .in('id', recipientListIds)
+        .order('id', { ascending: true })))
+      : { rows: [], error: null },
+  ]);
+
+  // These only feed secondary stats, so note what degraded and carry on
+  const warnings = [];
+  if (receivedResult.error) {
+    log.warn('Error fetching received purchases', { error: receivedResult.error });
+    warnings.push({
+      code: 'RECEIVED_GIFTS_UNAVAILABLE',
+      sections: ['stats.totalGiftsReceived', 'stats.peopleExchangedWith', 'exchangePartners'],
+      message: "Gifts bought off this profile's lists couldn't be loaded, so they aren't counted",
+    });
+  }
+  if (recipientListsResult.error) {
+    log.warn('Error fetching recipient lists', { error: recipientListsResult.error });
+    warnings.push({
+      code: 'RECIPIENT_LISTS_UNAVAILABLE',
+      sections: ['stats.purchaseTiming', 'stats.lastMinutePurchases', 'stats.peopleExchangedWith', 'exchangePartners', 'recipients', 'santaScoreBreakdown'],
+      message: "Recipients' lists couldn't be loaded, so recipients and event dates are missing for gifts bought off them",
+    });
+  }
+  indexById(receivedResult.rows, purchasesById);
+  indexById(recipientListsResult.rows, listsById);
+
+  // Phase 4: this profile plus everyone referenced (recipients, buyers, suggesters)
+  const referencedIds = new Set([String(profileId)]);
+  Object.values(listsById).forEach(list => list.owner_user_id && referencedIds.add(String(list.owner_user_id)));
+  receivedResult.rows.forEach(purchase => purchase.purchase_user && referencedIds.add(String(purchase.purchase_user)));
+  listItems.forEach(item => item.suggested_by && referencedIds.add(String(item.suggested_by)));
+
+  log.debug('Loading profiles', { profiles: referencedIds.size });
+  const profilesResult = await stage('profiles', () => fetchAll(() => client
+    .from('profiles')
+    .select('*')
+    .in('id', [...referencedIds])
+    .order('id', { ascending: true })));
+
+  if (profilesResult.error) {
+    log.error('Profile fetch error', { error: profilesResult.error });
+    throw new UpstreamError('Failed to fetch profiles', profilesResult.error);
+  }
+
+  const profilesById = indexById(profilesResult.rows);
+  const profile = profilesById[profileId];
+  if (!profile) {
+    throw new NotFoundError(`No profile with id ${profileId}`, ERROR_CODES.PROFILE_NOT_FOUND);
+  }
+
+  meta.durationMs = Date.now() - startedAt;
+  log.debug('Dataset loaded', { durationMs: meta.durationMs, queryCount: meta.queryCount, stages: meta.stages });
+
+  return {
+    profileId,
+    yearStart,
+    yearEnd,
+    historyEnd,
+    profile,
+    profilesById,
+    purchases,
+    purchasesById,
+    ownLists,
+    listsById,
+    listItems,
+    warnings,
+    meta,
+  };
+}
+
+/**
+ * Narrow a loaded dataset to a year in a timezone
+ * Stats only count rows inside yearStart..yearEnd, so only the purchase
+ * history (used for streaks) needs trimming.
+ * @param {Object} dataset - Dataset from loadWrappedDataset, loaded over a range covering this one
+ * @param {Object} scope - { year, timeZone, yearStart, yearEnd, historyEnd }
+ * @returns {Object} Dataset with year and timeZone set
+ */
+export function scopeDataset(dataset, { year, timeZone, yearStart, yearEnd, historyEnd }) {
+  return {
+    ...dataset,
+    year,
+    timeZone,
+    yearStart,
+    yearEnd,
+    historyEnd,
+    purchases: dataset.purchases.filter(purchase => new Date(purchase.created_at) <= historyEnd),
+  };
+}
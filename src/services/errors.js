@@ -0,0 +1,131 @@
+/**
+ * Error model
+ * Errors thrown by services and routes carry an HTTP status and a stable
+ * machine-readable code. The error middleware (src/middleware/errors.js)
+ * turns them into `{ error, code, message, details? }` responses; any
+ * other error becomes a 500 INTERNAL_ERROR without its message, so
+ * database and runtime details stay in the logs.
+ */
+
+// Stable codes clients can branch on; messages may change, codes don't
+export const ERROR_CODES = Object.freeze({
+  VALIDATION_FAILED: 'VALIDATION_FAILED',
+  UNAUTHORIZED: 'UNAUTHORIZED',
+  FORBIDDEN: 'FORBIDDEN',
+  NOT_FOUND: 'NOT_FOUND',
+  PROFILE_NOT_FOUND: 'PROFILE_NOT_FOUND',
+  SLIDE_NOT_FOUND: 'SLIDE_NOT_FOUND',
+  COMMUNITY_NOT_FOUND: 'COMMUNITY_NOT_FOUND',
+  GROUP_NOT_FOUND: 'GROUP_NOT_FOUND',
+  SHARE_NOT_FOUND: 'SHARE_NOT_FOUND',
+  SHARE_EXPIRED: 'SHARE_EXPIRED',
+  SHARE_REVOKED: 'SHARE_REVOKED',
+  UPSTREAM_ERROR: 'UPSTREAM_ERROR',
+  NOT_CONFIGURED: 'NOT_CONFIGURED',
+  INTERNAL_ERROR: 'INTERNAL_ERROR',
+});
+
+/**
+ * Base class for errors with an HTTP status and code
+ */
+export class AppError extends Error {
+  /**
+   * @param {string} message - Message safe to show to clients
+   * @param {Object} options - Error details
+   * @param {number} options.status - HTTP status (default 500)
+   * @param {string} options.code - Stable code from ERROR_CODES
+   * @param {string} options.title - Short summary for the response's `error` field
+   * @param {Array} options.details - Extra information for clients (e.g. failed fields)
+   * @param {Error|Object} options.cause - Underlying error, logged but never returned
+   */
+  constructor(message, { status = 500, code = ERROR_CODES.INTERNAL_ERROR, title = 'Internal server error', details, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.title = title;
+    this.details = details;
+  }
+}
+
+/**
+ * 400: the request's params, query or body failed validation
+ * details lists each problem as { field, message }.
+ */
+export class ValidationError extends AppError {
+  constructor(message, details = []) {
+    super(message, { status: 400, code: ERROR_CODES.VALIDATION_FAILED, title: 'Invalid request', details });
+  }
+}
+
+/**
+ * 401: missing or invalid credentials
+ */
+export class UnauthorizedError extends AppError {
+  constructor(message) {
+    super(message, { status: 401, code: ERROR_CODES.UNAUTHORIZED, title: 'Unauthorized' });
+  }
+}
+
+/**
+ * 403: the caller may not access this resource
+ */
+export class ForbiddenError extends AppError {
+  constructor(message) {
+    super(message, { status: 403, code: ERROR_CODES.FORBIDDEN, title: 'Forbidden' });
+  }
+}
+
+/**
+ * 404: the requested profile, slide, share or aggregate doesn't exist
+ */
+export class NotFoundError extends AppError {
+  constructor(message, code = ERROR_CODES.NOT_FOUND) {
+    super(message, { status: 404, code, title: 'Not found' });
+  }
+}
+
+/**
+ * 410: the resource existed but is no longer available (expired or revoked shares)
+ */
+export class GoneError extends AppError {
+  constructor(message, code) {
+    super(message, { status: 410, code, title: 'Gone' });
+  }
+}
+
+/**
+ * 502: Supabase (or another upstream service) returned an error
+ * The upstream message is kept as the cause for logs only.
+ */
+export class UpstreamError extends AppError {
+  constructor(message, cause) {
+    super(message, { status: 502, code: ERROR_CODES.UPSTREAM_ERROR, title: 'Upstream service error', cause });
+  }
+}
+
+/**
+ * 500: a required setting (credentials, secrets) is missing
+ */
+export class ConfigurationError extends AppError {
+  constructor(message) {
+    super(message, { status: 500, code: ERROR_CODES.NOT_CONFIGURED, title: 'Server configuration error' });
+  }
+}
+
+/**
+ * Response body for an error
+ * @param {Error} error - Any error
+ * @returns {{ status: number, body: { error: string, code: string, message: string, details?: Array } }}
+ */
+export function toErrorResponse(error) {
+  if (!(error instanceof AppError)) {
+    return {
+      status: 500,
+      body: { error: 'Internal server error', code: ERROR_CODES.INTERNAL_ERROR, message: 'Something went wrong' },
+    };
+  }
+  const body = { error: error.title, code: error.code, message: error.message };
+  if (error.details?.length) body.details = error.details;
+  return { status: error.status, body };
+}
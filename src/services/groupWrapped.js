@@ -0,0 +1,291 @@
+/**
+ * Group Wrapped service
+ * Combines the Wrapped of several profiles (a family, an office group)
+ * into one: totals for the group, who bought for whom inside it, the
+ * group's top retailer and busiest day, and a superlative for the member
+ * who stood out on each stat.
+ *
+ * Every member is calculated on the same calendar and in the same
+ * currency so their numbers can be added up: the requested timezone and
+ * currency, else those of the first member. Members see each other's
+ * spending as ranges and not each other's gifts (see redactGroupData).
+ */
+
+import { calculatePatientDataset } from './dataCalculator.js';
+import { profileName, selectPurchasedItems } from './wrappedStats.js';
+import { OTHER_RETAILER } from './retailers.js';
+import { spendingRange } from './shareRedaction.js';
+import { zonedDateKey } from './timezone.js';
+import { UpstreamError } from './errors.js';
+
+// Table listing which profiles belong to which group, one row per member
+export const GROUP_MEMBERS_TABLE = 'group_member';
+
+// Most members a group Wrapped is calculated for
+export const MAX_GROUP_SIZE = 20;
+
+const share = (part, total) => (total > 0 ? part / total : 0);
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Per-member superlatives
+ * Each is awarded to the member with the highest value above zero; ties
+ * go to the member listed first. To add one, append an entry here.
+ * - key: stable identifier
+ * - label: display text
+ * - value(stats): the member's WrappedStats -> number
+ * - spending: true when the value is an amount, so other members see a range
+ */
+export const GROUP_SUPERLATIVES = [
+  { key: 'biggestSpender', label: 'Biggest spender', value: stats => stats.totalSpending, spending: true },
+  { key: 'mostGenerous', label: 'Most gifts given', value: stats => stats.totalGiftsGiven },
+  // Share of their gifts bought early, so one early gift from a light shopper can win
+  { key: 'earliestShopper', label: 'Earliest shopper', value: stats => round2(share(stats.purchaseTiming.earlyBird, stats.totalGiftsGiven)) },
+  { key: 'lastMinuteHero', label: 'Last-minute hero', value: stats => stats.lastMinutePurchases },
+  { key: 'mostSpoiled', label: 'Most gifts received', value: stats => stats.totalGiftsReceived },
+  { key: 'craftiest', label: 'Craftiest', value: stats => stats.homemadeGifts },
+  // The santa score weighs spending in, so it's hidden along with it
+  { key: 'topSanta', label: 'Top santa', value: stats => stats.santaScore, spendWeighted: true },
+];
+
+/**
+ * Load the profile IDs in a group
+ * @param {Object} supabase - Supabase client instance
+ * @param {number} groupId - Group ID
+ * @returns {Promise<number[]>} Member profile IDs in ascending order (empty when the group doesn't exist)
+ * @throws {UpstreamError} When the query fails
+ */
+export async function loadGroupMembers(supabase, groupId) {
+  const { data, error } = await supabase
+    .from(GROUP_MEMBERS_TABLE)
+    .select('profile_id')
+    .eq('group_id', groupId)
+    .order('profile_id', { ascending: true });
+
+  if (error) {
+    throw new UpstreamError('Failed to fetch group members', error);
+  }
+  return [...new Set((data || []).map(row => parseInt(row.profile_id)))];
+}
+
+/**
+ * Who bought for whom inside the group, and how much was given outside it
+ * @param {Array} members - [{ profileId, dataset }]
+ * @returns {{ exchanges: Array, giftsWithinGroup: number, giftsOutsideGroup: number, peopleGiftedOutsideGroup: number }}
+ */
+export function summarizeGroupExchange(members) {
+  const memberIds = new Set(members.map(member => String(member.profileId)));
+  const names = Object.fromEntries(members.map(({ profileId, dataset }) => [String(profileId), profileName(dataset.profilesById, profileId)]));
+
+  const counts = {};
+  const outsideRecipients = new Set();
+  let giftsOutsideGroup = 0;
+
+  members.forEach(({ profileId, dataset }) => {
+    selectPurchasedItems(dataset).forEach(item => {
+      const ownerId = dataset.listsById[item.list_id]?.owner_user_id;
+      if (ownerId && String(ownerId) === String(profileId)) return;
+
+      if (ownerId && memberIds.has(String(ownerId))) {
+        const key = `${profileId}:${ownerId}`;
+        counts[key] = counts[key] || { from: parseInt(profileId), to: parseInt(ownerId), count: 0 };
+        counts[key].count++;
+      } else {
+        giftsOutsideGroup++;
+        if (ownerId) outsideRecipients.add(String(ownerId));
+      }
+    });
+  });
+
+  const exchanges = Object.values(counts)
+    .map(entry => ({ ...entry, fromName: names[entry.from], toName: names[entry.to] }))
+    .sort((a, b) => b.count - a.count || a.from - b.from || a.to - b.to);
+
+  return {
+    exchanges,
+    giftsWithinGroup: exchanges.reduce((sum, entry) => sum + entry.count, 0),
+    giftsOutsideGroup,
+    peopleGiftedOutsideGroup: outsideRecipients.size,
+  };
+}
+
+/**
+ * Merge members' retailer breakdowns
+ * @param {Array} results - Members' WrappedData
+ * @returns {{ mostUsedRetailer: string, retailerBreakdown: Array }} Sorted like summarizeRetailers
+ */
+export function mergeRetailers(results) {
+  const byRetailer = {};
+  results.forEach(result => {
+    result.retailerBreakdown.forEach(({ retailer, count, spend }) => {
+      byRetailer[retailer] = byRetailer[retailer] || { retailer, count: 0, spend: 0 };
+      byRetailer[retailer].count += count;
+      byRetailer[retailer].spend += spend;
+    });
+  });
+
+  const retailerBreakdown = Object.values(byRetailer)
+    .map(entry => ({ ...entry, spend: round2(entry.spend) }))
+    .sort((a, b) => b.count - a.count || b.spend - a.spend);
+  const top = retailerBreakdown.find(entry => entry.retailer !== OTHER_RETAILER);
+
+  return { mostUsedRetailer: top ? top.retailer : '', retailerBreakdown };
+}
+
+/**
+ * Day the group bought the most gifts, on the group's calendar
+ * @param {Array} members - [{ dataset }]
+ * @param {string} timeZone - IANA timezone
+ * @returns {{ date: string, itemCount: number }|null} Earliest such day, or null without purchases
+ */
+export function busiestGroupDay(members, timeZone) {
+  const itemsByDate = {};
+  members.forEach(({ dataset }) => {
+    selectPurchasedItems(dataset).forEach(item => {
+      const dateKey = zonedDateKey(dataset.purchasesById[item.purchase_id].created_at, timeZone);
+      itemsByDate[dateKey] = (itemsByDate[dateKey] || 0) + 1;
+    });
+  });
+
+  return Object.entries(itemsByDate)
+    .sort(([a], [b]) => a.localeCompare(b))
+    .reduce((busiest, [date, itemCount]) => (itemCount > (busiest?.itemCount || 0) ? { date, itemCount } : busiest), null);
+}
+
+/**
+ * Award each superlative to a member
+ * @param {Array} members - [{ profileId, name, result }] in display order
+ * @returns {Array<{ key: string, label: string, profileId: number, name: string, value: number }>}
+ *   Superlatives nobody scored above zero on are left out
+ */
+export function awardSuperlatives(members) {
+  return GROUP_SUPERLATIVES.map(({ key, label, value }) => {
+    const winner = members.reduce((best, member) => {
+      const score = value(member.result.stats);
+      return score > (best?.value || 0) ? { profileId: member.profileId, name: member.name, value: score } : best;
+    }, null);
+    return winner && { key, label, ...winner };
+  }).filter(Boolean);
+}
+
+/**
+ * Calculate the Wrapped for a group of profiles
+ * Members are calculated one at a time, like compareYears, to keep load
+ * on Supabase predictable.
+ * @param {Object} supabase - Supabase client that can read every member's data
+ * @param {number[]} profileIds - Member profile IDs, in display order
+ * @param {number} year - The year to calculate
+ * @param {Object} options - calculatePatientData options, plus:
+ * @param {number} options.groupId - Stored group the members came from, if any
+ * @returns {Promise<Object>} GroupWrappedData
+ * @throws {NotFoundError} When a member's profile doesn't exist
+ */
+export async function calculateGroupData(supabase, profileIds, year, { groupId = null, ...options } = {}) {
+  const members = [];
+  let shared = { timeZone: options.timeZone, currency: options.currency };
+
+  for (const profileId of profileIds) {
+    const { result, dataset } = await calculatePatientDataset(supabase, profileId, year, { ...options, ...shared });
+    // Everyone after the first member uses the same calendar and currency
+    shared = { timeZone: result.timeZone, currency: result.stats.currency };
+    members.push({ profileId: result.profileId, name: profileName(dataset.profilesById, profileId), result, dataset });
+  }
+
+  const sum = (pick) => members.reduce((total, member) => total + pick(member.result.stats), 0);
+  const exchange = summarizeGroupExchange(members);
+  const { mostUsedRetailer, retailerBreakdown } = mergeRetailers(members.map(member => member.result));
+
+  // Most expensive gift anyone in the group bought, and who bought it
+  const priciest = members.reduce((best, member) => (
+    member.result.stats.mostExpensiveGift.price > (best?.gift.price || 0) ? { profileId: member.profileId, gift: member.result.stats.mostExpensiveGift } : best
+  ), null);
+
+  return {
+    groupId,
+    year,
+    timeZone: shared.timeZone,
+    currency: shared.currency,
+    members: members.map(({ profileId, name, result }) => ({
+      profileId,
+      name,
+      totalGiftsGiven: result.stats.totalGiftsGiven,
+      totalGiftsReceived: result.stats.totalGiftsReceived,
+      totalSpending: result.stats.totalSpending,
+      santaScore: result.stats.santaScore,
+      personalityType: result.personalityType,
+    })),
+    stats: {
+      memberCount: members.length,
+      totalGiftsGiven: sum(stats => stats.totalGiftsGiven),
+      // Gifts between members count as given by one and received by another
+      totalGiftsReceived: sum(stats => stats.totalGiftsReceived),
+      totalSpending: round2(sum(stats => stats.totalSpending)),
+      giftsWithinGroup: exchange.giftsWithinGroup,
+      giftsOutsideGroup: exchange.giftsOutsideGroup,
+      peopleGiftedOutsideGroup: exchange.peopleGiftedOutsideGroup,
+      mostExpensiveGift: priciest
+        ? { ...priciest.gift, profileId: priciest.profileId }
+        : { title: '', price: 0, thumbnail_url: null, profileId: null },
+      mostUsedRetailer,
+      busiestDay: busiestGroupDay(members, shared.timeZone),
+      lastMinutePurchases: sum(stats => stats.lastMinutePurchases),
+      homemadeGifts: sum(stats => stats.homemadeGifts),
+      purchaseTiming: {
+        earlyBird: sum(stats => stats.purchaseTiming.earlyBird),
+        onTime: sum(stats => stats.purchaseTiming.onTime),
+        lastMinute: sum(stats => stats.purchaseTiming.lastMinute),
+      },
+    },
+    // Who bought for whom inside the group, most gifts first
+    exchanges: exchange.exchanges,
+    retailerBreakdown,
+    superlatives: awardSuperlatives(members),
+    // Each member's warnings, tagged with their profile ID
+    warnings: members.flatMap(({ profileId, result }) => result.warnings.map(warning => ({ profileId, ...warning }))),
+  };
+}
+
+/**
+ * Hide what a caller shouldn't see about members whose profiles they don't own
+ * Their spending becomes a range (like a share view), their santa score
+ * and personality (which can be spend-based, e.g. Big Spender) are
+ * dropped, their gifts' titles and thumbnails are dropped, and group
+ * totals and retailer spend that include them become ranges or counts, so
+ * nobody's exact amount can be worked out by subtraction.
+ * @param {Object} group - GroupWrappedData from calculateGroupData
+ * @param {number[]} visibleProfileIds - Members the caller owns (every member for admins)
+ * @returns {Object} GroupWrappedData
+ */
+export function redactGroupData(group, visibleProfileIds) {
+  const visible = new Set(visibleProfileIds.map(String));
+  const hidden = (profileId) => !visible.has(String(profileId));
+  if (!group.members.some(member => hidden(member.profileId))) return group;
+
+  const range = (amount) => spendingRange(amount, group.currency);
+  const keysWhere = (flag) => new Set(GROUP_SUPERLATIVES.filter(superlative => superlative[flag]).map(superlative => superlative.key));
+  const spendingKeys = keysWhere('spending');
+  const spendWeightedKeys = keysWhere('spendWeighted');
+  const gift = group.stats.mostExpensiveGift;
+
+  return {
+    ...group,
+    members: group.members.map(member => (hidden(member.profileId)
+      ? { ...member, totalSpending: range(member.totalSpending), santaScore: null, personalityType: null }
+      : member)),
+    stats: {
+      ...group.stats,
+      totalSpending: range(group.stats.totalSpending),
+      mostExpensiveGift: gift.profileId !== null && hidden(gift.profileId)
+        ? { title: '', price: range(gift.price), thumbnail_url: null, profileId: gift.profileId }
+        : gift,
+    },
+    retailerBreakdown: group.retailerBreakdown.map(({ retailer, count }) => ({ retailer, count })),
+    superlatives: group.superlatives.map((superlative) => {
+      if (!hidden(superlative.profileId)) return superlative;
+      if (spendingKeys.has(superlative.key)) return { ...superlative, value: range(superlative.value) };
+      if (spendWeightedKeys.has(superlative.key)) return { ...superlative, value: null };
+      return superlative;
+    }),
+  };
+}
@@ -0,0 +1,106 @@
+/**
+ * Homemade gift detection service
+ * Flags purchased items that look homemade/DIY. An explicit is_homemade
+ * column is authoritative when present; otherwise any enabled heuristic
+ * signal marks the item as homemade.
+ */
+
+/**
+ * Signals and whether they are enabled by default
+ * - flagColumn: honour list_item.is_homemade when it is set
+ * - noLink: item has no link
+ * - zeroPrice: price is zero or missing (not one that couldn't be read or converted)
+ * - keywords: title contains one of HOMEMADE_KEYWORDS
+ */
+export const DEFAULT_HOMEMADE_SIGNALS = {
+  flagColumn: true,
+  noLink: true,
+  zeroPrice: true,
+  keywords: true,
+};
+
+export const HOMEMADE_KEYWORDS = [
+  'handmade',
+  'homemade',
+  'home made',
+  'hand made',
+  'diy',
+  'knitted',
+  'knit',
+  'crocheted',
+  'crochet',
+  'hand-knitted',
+  'hand painted',
+  'hand-painted',
+  'baked',
+  'sewn',
+  'quilt',
+  'made by me',
+];
+
+const KEYWORD_PATTERN = new RegExp(`\\b(${HOMEMADE_KEYWORDS.map(k => k.replace(/[-\s]/g, '[-\\s]?')).join('|')})\\b`, 'i');
+
+/**
+ * Resolve signal configuration
+ * Accepts an object of booleans, or a comma-separated list of enabled
+ * signal names (e.g. the HOMEMADE_SIGNALS environment variable).
+ * @param {Object|string} config - Signal configuration
+ * @returns {Object} Signal name -> enabled
+ */
+export function resolveHomemadeSignals(config) {
+  if (typeof config === 'string' && config.trim()) {
+    const enabled = config.split(',').map(name => name.trim());
+    return Object.fromEntries(Object.keys(DEFAULT_HOMEMADE_SIGNALS).map(name => [name, enabled.includes(name)]));
+  }
+  if (config && typeof config === 'object') {
+    return { ...DEFAULT_HOMEMADE_SIGNALS, ...config };
+  }
+  return { ...DEFAULT_HOMEMADE_SIGNALS };
+}
+
+/**
+ * Check a single item for homemade signals
+ * @param {Object} item - list_item row
+ * @param {Object} signals - Resolved signal configuration
+ * @returns {{ homemade: boolean, signals: string[] }} Whether it's homemade and which signals fired
+ */
+export function detectHomemade(item, signals = DEFAULT_HOMEMADE_SIGNALS) {
+  if (signals.flagColumn && item.is_homemade !== undefined && item.is_homemade !== null) {
+    return { homemade: Boolean(item.is_homemade), signals: ['flagColumn'] };
+  }
+
+  const fired = [];
+  if (signals.noLink && !(typeof item.link === 'string' && item.link.trim())) {
+    fired.push('noLink');
+  }
+  // Prices convertItemPrices couldn't read or convert are 0 but not free
+  if (signals.zeroPrice && !item.priceIssue && !(parseFloat(item.price) > 0)) {
+    fired.push('zeroPrice');
+  }
+  if (signals.keywords && KEYWORD_PATTERN.test(item.title || '')) {
+    fired.push('keywords');
+  }
+
+  return { homemade: fired.length > 0, signals: fired };
+}
+
+/**
+ * Count homemade gifts among purchased items
+ * @param {Array} items - Purchased list_item rows
+ * @param {Object|string} config - Signal configuration (see resolveHomemadeSignals)
+ * @returns {{ count: number, items: Array<{ id: number, title: string, signals: string[] }> }}
+ */
+export function summarizeHomemade(items, config) {
+  const signals = resolveHomemadeSignals(config);
+
+  const homemadeItems = items
+    .map(item => ({ item, result: detectHomemade(item, signals) }))
+    .filter(({ result }) => result.homemade)
+    .map(({ item, result }) => ({
+      id: item.id,
+      title: item.title || '',
+      signals: result.signals,
+    }));
+
+  return { count: homemadeItems.length, items: homemadeItems };
+}
@@ -0,0 +1,147 @@
+/**
+ * Structured logger
+ * Writes one JSON object per line with a level, message and fields, so
+ * Vercel's log search can filter on requestId, profileId or stage.
+ * Verbosity comes from LOG_LEVEL (debug, info, warn, error or silent;
+ * default info). Fields that can hold personal data (names, titles,
+ * links, prices) are replaced with "[redacted]" before anything is
+ * written, however deeply they're nested, so messages should only carry
+ * IDs, counts and timings.
+ */
+
+import { performance } from 'perf_hooks';
+
+export const LOG_LEVELS = {
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40,
+  silent: 100,
+};
+
+// Read on each call, so LOG_LEVEL from a .env file loaded after import still applies
+const envLevel = () => (LOG_LEVELS[process.env.LOG_LEVEL] ? process.env.LOG_LEVEL : 'info');
+
+// Field names whose values are never logged
+export const REDACTED_FIELDS = new Set([
+  'name',
+  'first_name',
+  'last_name',
+  'full_name',
+  'display_name',
+  'username',
+  'email',
+  'birthday',
+  'title',
+  'description',
+  'link',
+  'url',
+  'thumbnail_url',
+  'price',
+  'originalPrice',
+  'spend',
+  'convertedSpend',
+  'totalSpending',
+  // Postgres error details can quote row values
+  'details',
+  'hint',
+]);
+
+const REDACTED = '[redacted]';
+
+// Nested objects past this depth are summarised, which also stops cycles
+const MAX_DEPTH = 6;
+
+/**
+ * Plain-object form of an error, including its cause
+ * Stack traces are kept for server errors only (no status, or 5xx).
+ * @param {Error|Object} error - Error or Supabase error object
+ * @returns {Object} { type, message, code, status, stack?, cause? } (type, not name, which is redacted)
+ */
+export function serializeError(error) {
+  if (!error || typeof error !== 'object') return { message: String(error) };
+  const serialized = {
+    type: error.name,
+    message: error.message,
+    code: error.code,
+    status: error.status,
+  };
+  if (error instanceof Error && !(error.status < 500)) serialized.stack = error.stack;
+  if (error.cause) serialized.cause = serializeError(error.cause);
+  return serialized;
+}
+
+/**
+ * Copy of a value with personal-data fields redacted
+ * @param {*} value - Any loggable value
+ * @param {number} depth - Current nesting depth
+ * @returns {*} Redacted copy
+ */
+export function redact(value, depth = 0) {
+  if (value instanceof Error) return redact(serializeError(value), depth);
+  if (!value || typeof value !== 'object' || value instanceof Date) return value;
+  if (depth >= MAX_DEPTH) return Array.isArray(value) ? `[${value.length} items]` : '[object]';
+  if (Array.isArray(value)) return value.map(entry => redact(entry, depth + 1));
+
+  const copy = {};
+  Object.entries(value).forEach(([key, entry]) => {
+    if (entry === undefined) return;
+    copy[key] = REDACTED_FIELDS.has(key) && entry !== null ? REDACTED : redact(entry, depth + 1);
+  });
+  return copy;
+}
+
+const defaultWrite = (line, level) => {
+  if (LOG_LEVELS[level] >= LOG_LEVELS.warn) {
+    console.error(line);
+  } else {
+    console.log(line);
+  }
+};
+
+/**
+ * Create a logger
+ * @param {Object} options - Logger options
+ * @param {string} options.level - Lowest level written (defaults to LOG_LEVEL, then info)
+ * @param {Object} options.fields - Fields added to every line (e.g. requestId)
+ * @param {Function} options.write - (line, level) => void (defaults to stdout, stderr for warn and error)
+ * @returns {{ debug: Function, info: Function, warn: Function, error: Function, child: Function, isLevelEnabled: Function }}
+ *   Each level takes (message, fields); child(fields) returns a logger with extra fields
+ */
+export function createLogger({ level, fields = {}, write = defaultWrite } = {}) {
+  const threshold = () => LOG_LEVELS[level || envLevel()] ?? LOG_LEVELS.info;
+
+  const log = (entryLevel) => (message, entryFields = {}) => {
+    if (LOG_LEVELS[entryLevel] < threshold()) return;
+    const entry = redact({ ...fields, ...entryFields });
+    write(JSON.stringify({ time: new Date().toISOString(), level: entryLevel, msg: message, ...entry }), entryLevel);
+  };
+
+  return {
+    debug: log('debug'),
+    info: log('info'),
+    warn: log('warn'),
+    error: log('error'),
+    isLevelEnabled: (candidate) => LOG_LEVELS[candidate] >= threshold(),
+    child: (childFields) => createLogger({ level, fields: { ...fields, ...childFields }, write }),
+  };
+}
+
+// Process-wide logger; requests get a child with their requestId
+export const logger = createLogger();
+
+/**
+ * Run one stage of work and record how long it took
+ * @param {Object} stages - Stage name -> milliseconds, added to
+ * @param {string} stage - Stage name, e.g. 'purchases'
+ * @param {Function} fn - Async function doing the work
+ * @returns {Promise<*>} The function's result
+ */
+export async function timed(stages, stage, fn) {
+  const startedAt = performance.now();
+  try {
+    return await fn();
+  } finally {
+    stages[stage] = Math.round(performance.now() - startedAt);
+  }
+}
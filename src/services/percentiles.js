@@ -0,0 +1,59 @@
+/**
+ * Community percentiles
+ * Distributions of per-user stats across a year's gifters, and where a
+ * single profile's stats fall in them. Amounts are in BASE_CURRENCY so
+ * profiles shown in different currencies rank the same way.
+ */
+
+import { percentileRank } from './santaScore.js';
+
+// Per-user stats that get a distribution (and a percentile on each Wrapped)
+export const PERCENTILE_STATS = [
+  'totalGiftsGiven',
+  'totalGiftsReceived',
+  'totalSpending',
+  'mostExpensiveGift',
+  'peopleExchangedWith',
+  'lastMinutePurchases',
+  'homemadeGifts',
+];
+
+/**
+ * Quantile cut points of a set of values
+ * @param {number[]} values - Population values
+ * @returns {number[]} 101 values, the 0th to 100th percentile (empty when there are no values)
+ */
+export function quantileCutPoints(values) {
+  if (values.length === 0) return [];
+  const sorted = [...values].sort((a, b) => a - b);
+  return Array.from({ length: 101 }, (_, i) => sorted[Math.round((i / 100) * (sorted.length - 1))]);
+}
+
+/**
+ * Rank a profile's stats against a community aggregate
+ * @param {Object} stats - WrappedData stats block, with amounts in BASE_CURRENCY
+ * @param {Object|null} aggregate - CommunityAggregate for the same year
+ * @returns {Object|null} { populationSize, computedAt, stats: { statName: 0-100 } }, or null without an aggregate
+ */
+export function rankAgainstCommunity(stats, aggregate) {
+  if (!aggregate || !aggregate.populationSize) return null;
+
+  const values = {
+    ...stats,
+    mostExpensiveGift: stats.mostExpensiveGift?.price || 0,
+  };
+
+  const ranked = {};
+  PERCENTILE_STATS.forEach(key => {
+    const cutPoints = aggregate.distributions?.[key];
+    if (cutPoints?.length) {
+      ranked[key] = Math.round(percentileRank(values[key] || 0, cutPoints));
+    }
+  });
+
+  return {
+    populationSize: aggregate.populationSize,
+    computedAt: aggregate.computedAt,
+    stats: ranked,
+  };
+}
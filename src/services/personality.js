@@ -0,0 +1,39 @@
+/**
+ * Personality classification service
+ * Runs the declarative rules in personalityRules.js over computed stats
+ */
+
+import { PERSONALITY_RULES, DEFAULT_PERSONALITY } from './personalityRules.js';
+
+/**
+ * Check whether a single rule applies to the given stats
+ * @param {Object} rule - Rule from the personality rules table
+ * @param {Object} data - { stats, listStats, timing }
+ * @returns {boolean} True when the rule matches
+ */
+export function evaluateRule(rule, data) {
+  return Boolean(rule.matches(data, rule.thresholds || {}));
+}
+
+/**
+ * Classify a profile into a personality archetype
+ * @param {Object} stats - WrappedStats object
+ * @param {Object} listStats - List statistics from calculatePatientData
+ * @param {Object} timing - Resolved timing options the stats used, plus eventDates (see personalityRules.js)
+ * @param {Array} rules - Rules table (defaults to PERSONALITY_RULES)
+ * @returns {{ personalityType: string, personalityReason: string }}
+ */
+export function classifyPersonality(stats, listStats, timing = {}, rules = PERSONALITY_RULES) {
+  const data = { stats, listStats, timing };
+
+  const match = [...rules]
+    .sort((a, b) => b.priority - a.priority)
+    .find(rule => evaluateRule(rule, data));
+
+  const archetype = match || DEFAULT_PERSONALITY;
+
+  return {
+    personalityType: archetype.type,
+    personalityReason: archetype.reason(data, archetype.thresholds || {}),
+  };
+}
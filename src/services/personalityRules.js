@@ -0,0 +1,100 @@
+/**
+ * Personality archetype rules
+ * Each rule is evaluated against the computed stats and listStats.
+ * To add an archetype, append an entry here - calculatePatientData
+ * does not need to change.
+ *
+ * Rule shape:
+ * - type: archetype name returned as personalityType
+ * - priority: higher priority wins when several rules match
+ * - thresholds: numbers the rule compares against (tweak without touching logic)
+ * - matches({ stats, listStats, timing }, thresholds): returns true when the rule applies
+ * - reason({ stats, listStats, timing }, thresholds): human-readable reason citing the numbers
+ *
+ * timing is the resolved timing options plus `eventDates`, true when some
+ * last-minute gift was timed against its list's event date.
+ */
+
+import { formatMoney, convertAmount, BASE_CURRENCY } from './currency.js';
+
+// Money thresholds are in BASE_CURRENCY; convert them to the currency stats are shown in
+const inCurrency = (amount, stats) => convertAmount(amount, BASE_CURRENCY, stats.currency || BASE_CURRENCY) ?? amount;
+
+const share = (part, total) => (total > 0 ? part / total : 0);
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+/**
+ * The day last-minute gifts were bought just before, in words
+ * Addressed to the profile, like every reason.
+ * @param {Object} timing - Resolved timing options, plus eventDates
+ * @returns {string} e.g. 'Christmas', 'Feb 14', "your recipients' birthdays" or 'the events you bought them for'
+ */
+export function describeTimingTarget(timing = {}) {
+  if (timing.eventDates) return 'the events you bought them for';
+  if (timing.target === 'birthday') return 'your recipients\' birthdays';
+  const monthDay = /^(\d{2})-(\d{2})$/.exec(timing.target || '');
+  return monthDay ? `${MONTHS[parseInt(monthDay[1]) - 1]} ${parseInt(monthDay[2])}` : 'Christmas';
+}
+
+export const PERSONALITY_RULES = [
+  {
+    type: 'Last-Minute Elf',
+    priority: 100,
+    thresholds: { minCount: 2, minShare: 0.5 },
+    matches: ({ stats }, t) =>
+      stats.lastMinutePurchases >= t.minCount &&
+      share(stats.lastMinutePurchases, stats.totalGiftsGiven) >= t.minShare,
+    reason: ({ stats, timing }) =>
+      `${stats.lastMinutePurchases} of your ${stats.totalGiftsGiven} gifts were bought in the final days before ${describeTimingTarget(timing)}.`,
+  },
+  {
+    type: 'Big Spender',
+    priority: 90,
+    thresholds: { minGiftPrice: 100, minTotalSpending: 500 },
+    matches: ({ stats }, t) =>
+      (stats.mostExpensiveGift?.price || 0) >= inCurrency(t.minGiftPrice, stats) ||
+      stats.totalSpending >= inCurrency(t.minTotalSpending, stats),
+    reason: ({ stats }) =>
+      stats.mostExpensiveGift?.title
+        ? `You spent ${formatMoney(stats.totalSpending, stats.currency)} this year, including ${formatMoney(stats.mostExpensiveGift.price, stats.currency)} on ${stats.mostExpensiveGift.title}.`
+        : `You spent ${formatMoney(stats.totalSpending, stats.currency)} on gifts this year.`,
+  },
+  {
+    type: 'Social Butterfly',
+    priority: 80,
+    thresholds: { minPeople: 5 },
+    matches: ({ stats }, t) => stats.peopleExchangedWith >= t.minPeople,
+    reason: ({ stats }) =>
+      `You exchanged gifts with ${stats.peopleExchangedWith} different people this year.`,
+  },
+  {
+    type: 'Curator',
+    priority: 70,
+    thresholds: { minLists: 3 },
+    matches: ({ listStats }, t) => (listStats?.totalListsCreated || 0) >= t.minLists,
+    reason: ({ listStats }) =>
+      listStats.listWithMostItems
+        ? `You created ${listStats.totalListsCreated} lists, with "${listStats.listWithMostItems.name}" holding ${listStats.listWithMostItems.itemCount} items.`
+        : `You created ${listStats.totalListsCreated} lists this year.`,
+  },
+  {
+    type: 'Generous Giver',
+    priority: 60,
+    thresholds: { minGifts: 10 },
+    matches: ({ stats }, t) => stats.totalGiftsGiven >= t.minGifts,
+    reason: ({ stats }) =>
+      `You gave ${stats.totalGiftsGiven} gifts this year.`,
+  },
+];
+
+/**
+ * Archetype used when no rule matches
+ */
+export const DEFAULT_PERSONALITY = {
+  type: 'Thoughtful Gifter',
+  reason: ({ stats }) =>
+    stats.totalGiftsGiven > 0
+      ? `You picked out ${stats.totalGiftsGiven} ${stats.totalGiftsGiven === 1 ? 'gift' : 'gifts'} with care this year.`
+      : 'Your gifting story is just getting started.',
+};
@@ -0,0 +1,106 @@
+/**
+ * Population data
+ * Loads every purchase made in a year, with its items and the lists they
+ * came from, for stats that compare a profile against everyone else
+ * (the community aggregate, santa score distributions included). Item prices are converted to
+ * BASE_CURRENCY so everyone is compared in the same currency.
+ */
+
+import { convertItemPrices, BASE_CURRENCY } from './currency.js';
+import { UpstreamError } from './errors.js';
+
+// Rows per request when paging through a year's purchases
+const PAGE_SIZE = 1000;
+
+// IDs per `.in()` filter, keeps request URLs a reasonable length
+const IN_CHUNK_SIZE = 200;
+
+/**
+ * Fetch rows whose `column` is in `ids`, in chunks
+ * One chunk can match more rows than a page holds (200 purchases can have
+ * thousands of items), so each chunk is paged through by id.
+ */
+async function fetchIn(supabase, table, columns, column, ids) {
+  const rows = [];
+  for (let i = 0; i < ids.length; i += IN_CHUNK_SIZE) {
+    const chunk = ids.slice(i, i + IN_CHUNK_SIZE);
+    for (let from = 0; ; from += PAGE_SIZE) {
+      const { data, error } = await supabase
+        .from(table)
+        .select(columns)
+        .in(column, chunk)
+        .order('id', { ascending: true })
+        .range(from, from + PAGE_SIZE - 1);
+
+      if (error) {
+        throw new UpstreamError(`Failed to fetch ${table}`, error);
+      }
+      rows.push(...(data || []));
+      if (!data || data.length < PAGE_SIZE) break;
+    }
+  }
+  return rows;
+}
+
+/**
+ * Load the items bought in a set of purchases, with the lists they came from
+ * @param {Object} supabase - Supabase client instance
+ * @param {Array<number|string>} purchaseIds - purchase.id values
+ * @returns {Promise<{ items: Array, listsById: Object }>} Items as stored (prices not converted)
+ */
+export async function loadPurchasedItems(supabase, purchaseIds) {
+  const items = await fetchIn(supabase, 'list_item', '*', 'purchase_id', purchaseIds);
+  const listIds = [...new Set(items.map(item => item.list_id).filter(Boolean))];
+  const lists = await fetchIn(supabase, 'list', '*', 'id', listIds);
+
+  const listsById = {};
+  lists.forEach(list => {
+    listsById[list.id] = list;
+  });
+  return { items, listsById };
+}
+
+/**
+ * Load every purchase in a year with its items and lists
+ * @param {Object} supabase - Supabase client instance
+ * @param {Date} yearStart - Start of the year
+ * @param {Date} yearEnd - End of the year
+ * @returns {Promise<{ purchasesById: Object, items: Array, listsById: Object, itemsByBuyer: Object }>}
+ *   itemsByBuyer maps each buyer's profile ID to the items they bought; prices are in BASE_CURRENCY
+ */
+export async function loadYearPopulation(supabase, yearStart, yearEnd) {
+  const purchases = [];
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from('purchase')
+      .select('id, purchase_user, created_at')
+      .gte('created_at', yearStart.toISOString())
+      .lte('created_at', yearEnd.toISOString())
+      .order('id', { ascending: true })
+      .range(from, from + PAGE_SIZE - 1);
+
+    if (error) {
+      throw new UpstreamError('Failed to fetch purchases', error);
+    }
+    purchases.push(...(data || []));
+    if (!data || data.length < PAGE_SIZE) break;
+  }
+
+  const purchasesById = {};
+  purchases.forEach(purchase => {
+    purchasesById[purchase.id] = purchase;
+  });
+
+  const { items: rawItems, listsById } = await loadPurchasedItems(supabase, Object.keys(purchasesById));
+  const { items } = convertItemPrices(rawItems, { currency: BASE_CURRENCY, purchasesById });
+
+  const itemsByBuyer = {};
+  items.forEach(item => {
+    const buyerId = purchasesById[item.purchase_id]?.purchase_user;
+    if (!buyerId) return;
+    itemsByBuyer[buyerId] = itemsByBuyer[buyerId] || [];
+    itemsByBuyer[buyerId].push(item);
+  });
+
+  return { purchasesById, items, listsById, itemsByBuyer };
+}
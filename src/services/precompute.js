@@ -0,0 +1,205 @@
+/**
+ * Wrapped precomputation
+ * Calculates every profile's Wrapped for a year ahead of time so launch
+ * day traffic reads stored results instead of hitting Supabase per
+ * request. Results go to the wrapped_results table (or any writer), and
+ * the data route serves them when present and still fresh. Each profile
+ * can be calculated as its owner, so row-level security gives the stored
+ * result the same view the live route would.
+ */
+
+import { calculatePatientDataset } from './dataCalculator.js';
+import { UpstreamError } from './errors.js';
+import { logger } from './logger.js';
+
+// Table precomputed results are stored in, one row per profile and year
+export const PRECOMPUTED_TABLE = 'wrapped_results';
+
+export const DEFAULT_PRECOMPUTE_OPTIONS = {
+  pageSize: 500,
+  concurrency: 4,
+  retries: 3,
+  retryDelayMs: 1000,
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Run a function, retrying with exponential backoff when it throws
+ * @param {Function} fn - Async function to run
+ * @param {Object} options - { retries, retryDelayMs }; delays double on each attempt
+ * @returns {Promise<*>} The function's result
+ */
+export async function withRetry(fn, { retries = 3, retryDelayMs = 1000 } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      // Client errors (e.g. a profile deleted mid-run) won't succeed on a retry
+      if (attempt >= retries || error.status < 500) throw error;
+      // Jitter keeps parallel workers from retrying in lockstep
+      const delay = retryDelayMs * 2 ** attempt * (0.5 + Math.random() / 2);
+      logger.warn('Attempt failed, retrying', { attempt: attempt + 1, delayMs: Math.round(delay), error });
+      await sleep(delay);
+    }
+  }
+}
+
+/**
+ * Map over items with at most `concurrency` calls in flight
+ * @param {Array} items - Items to process
+ * @param {number} concurrency - Maximum parallel calls
+ * @param {Function} fn - Async function called with each item
+ * @returns {Promise<Array>} Results in input order
+ */
+export async function mapWithConcurrency(items, concurrency, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(Math.max(1, concurrency), items.length) }, worker));
+  return results;
+}
+
+/**
+ * Store a precomputed result, replacing any previous one for the profile and year
+ * @param {Object} supabase - Supabase client instance (needs write access)
+ * @param {Object} data - WrappedData object
+ * @param {Date} computedAt - When it was calculated
+ */
+export async function savePrecomputed(supabase, data, computedAt = new Date()) {
+  const { error } = await supabase
+    .from(PRECOMPUTED_TABLE)
+    .upsert({
+      profile_id: data.profileId,
+      year: data.year,
+      data,
+      computed_at: computedAt.toISOString(),
+    }, { onConflict: 'profile_id,year' });
+
+  if (error) {
+    throw new UpstreamError('Failed to save precomputed result', error);
+  }
+}
+
+/**
+ * Load a precomputed result
+ * @param {Object} supabase - Supabase client instance
+ * @param {number|string} profileId - Profile ID
+ * @param {number} year - Wrapped year
+ * @returns {Promise<{ data: Object, computedAt: Date }|null>} Stored result, or null if there isn't one
+ */
+export async function loadPrecomputed(supabase, profileId, year) {
+  const { data, error } = await supabase
+    .from(PRECOMPUTED_TABLE)
+    .select('data, computed_at')
+    .eq('profile_id', profileId)
+    .eq('year', year)
+    .maybeSingle();
+
+  if (error) {
+    throw new UpstreamError('Failed to fetch precomputed result', error);
+  }
+  return data ? { data: data.data, computedAt: new Date(data.computed_at) } : null;
+}
+
+/**
+ * Fetch one page of profiles (id and owner) after `afterId`
+ * Keyset pagination, so a checkpointed run resumes at the same place.
+ */
+async function fetchProfilePage(supabase, afterId, pageSize, ownerColumn) {
+  let query = supabase
+    .from('profiles')
+    .select(`id, ${ownerColumn}`)
+    .order('id', { ascending: true })
+    .limit(pageSize);
+  if (afterId !== null && afterId !== undefined) {
+    query = query.gt('id', afterId);
+  }
+
+  const { data, error } = await query;
+  if (error) {
+    throw new UpstreamError('Failed to fetch profiles', error);
+  }
+  return data || [];
+}
+
+/**
+ * Precompute every profile's Wrapped for a year
+ * Profiles are read a page at a time and calculated with bounded
+ * concurrency. After each page the checkpoint is saved, so a crashed run
+ * picks up after the last finished page. Profiles that still fail after
+ * retries, or only produce results with warnings, are recorded in
+ * checkpoint.failed and skipped.
+ * @param {Object} supabase - Supabase client that can read every profile
+ * @param {number} year - Wrapped year
+ * @param {Object} options - Run options
+ * @param {Function} options.write - Async (data) => void, stores one result
+ * @param {Object} options.checkpoint - { lastProfileId, processed, failed } to resume from
+ * @param {Function} options.saveCheckpoint - Async (checkpoint) => void, called after each page
+ * @param {Object} options.calculation - calculatePatientData options
+ * @param {Function} options.clientForOwner - (ownerId) => client whose queries run as that auth user;
+ *   without it every profile is calculated with `supabase`, which may see more than its owner does
+ * @param {string} options.ownerColumn - profiles column holding the owner's auth user id (default 'user_id')
+ * @param {number} options.pageSize - Profiles per page
+ * @param {number} options.concurrency - Profiles calculated in parallel
+ * @param {number} options.retries - Retries per profile
+ * @param {number} options.retryDelayMs - First retry delay, doubled on each attempt
+ * @returns {Promise<Object>} Final checkpoint
+ */
+export async function precomputeYear(supabase, year, options = {}) {
+  const { pageSize, concurrency, retries, retryDelayMs } = { ...DEFAULT_PRECOMPUTE_OPTIONS, ...options };
+  const { write, saveCheckpoint = async () => {}, calculation = {}, clientForOwner, ownerColumn = 'user_id' } = options;
+  const log = logger.child({ job: 'precompute', year });
+  const checkpoint = {
+    year,
+    lastProfileId: null,
+    processed: 0,
+    failed: [],
+    ...options.checkpoint,
+  };
+
+  if (checkpoint.lastProfileId !== null) {
+    log.info('Resuming precompute', { lastProfileId: checkpoint.lastProfileId, processed: checkpoint.processed });
+  }
+
+  for (;;) {
+    const profiles = await withRetry(() => fetchProfilePage(supabase, checkpoint.lastProfileId, pageSize, ownerColumn), { retries, retryDelayMs });
+    if (profiles.length === 0) break;
+
+    await mapWithConcurrency(profiles, concurrency, async (profile) => {
+      const profileId = profile.id;
+      try {
+        if (clientForOwner && !profile[ownerColumn]) {
+          throw new Error('Profile has no owner to calculate as');
+        }
+        // The year-wide aggregate is read with the job's client, like the route's service client
+        const client = clientForOwner ? clientForOwner(profile[ownerColumn]) : supabase;
+        await withRetry(async () => {
+          const { result } = await calculatePatientDataset(client, profileId, year, { logger: log, populationClient: supabase, ...calculation });
+          // Stored results are served for a long time, so don't store degraded ones
+          if (result.warnings.length > 0) {
+            throw new Error(`Incomplete result (${result.warnings.map(warning => warning.code).join(', ')})`);
+          }
+          await write(result);
+        }, { retries, retryDelayMs });
+        checkpoint.processed++;
+      } catch (error) {
+        log.error('Giving up on profile', { profileId, error });
+        checkpoint.failed.push(profileId);
+      }
+    });
+
+    checkpoint.lastProfileId = profiles[profiles.length - 1].id;
+    await saveCheckpoint(checkpoint);
+    log.info('Precomputed page', { processed: checkpoint.processed, failed: checkpoint.failed.length, lastProfileId: checkpoint.lastProfileId });
+
+    if (profiles.length < pageSize) break;
+  }
+
+  return checkpoint;
+}
@@ -0,0 +1,200 @@
+/**
+ * Purchase timing service
+ * Buckets purchased items into earlyBird / onTime / lastMinute relative
+ * to a target date (Christmas by default, a recipient's birthday, or the
+ * list's own event date when it has one). Days are counted on the
+ * calendar of options.timeZone.
+ */
+
+import { isValidTimeZone, zonedDayNumber, zonedParts, zonedTime } from './timezone.js';
+
+/**
+ * Default timing configuration
+ * - target: 'christmas', 'birthday' or a fixed 'MM-DD' date
+ * - lastMinuteDays: purchases this many days or fewer before the target (or after it) are last minute
+ * - earlyBirdDays: purchases more than this many days before the target are early bird
+ * - timeZone: IANA timezone whose calendar days are counted
+ *
+ * With the defaults, Christmas purchases from Dec 18 on are last minute.
+ */
+export const DEFAULT_TIMING_OPTIONS = {
+  target: 'christmas',
+  lastMinuteDays: 7,
+  earlyBirdDays: 30,
+  timeZone: 'UTC',
+};
+
+const CHRISTMAS = { month: 11, day: 25 };
+
+/**
+ * Parse a 'MM-DD' or 'YYYY-MM-DD' string into a month/day pair
+ * @param {string} value - Date string
+ * @returns {{ month: number, day: number }|null} Zero-based month and day, or null
+ */
+function parseMonthDay(value) {
+  const match = /^(?:\d{4}-)?(\d{2})-(\d{2})/.exec(String(value || ''));
+  if (!match) return null;
+  const month = parseInt(match[1]) - 1;
+  const day = parseInt(match[2]);
+  if (month < 0 || month > 11 || day < 1 || day > 31) return null;
+  return { month, day };
+}
+
+/**
+ * Whether a value is a timing target: 'christmas', 'birthday' or 'MM-DD'
+ * @param {string} target - Requested target
+ * @returns {boolean}
+ */
+export function isValidTimingTarget(target) {
+  return target === 'christmas' || target === 'birthday' || Boolean(parseMonthDay(target));
+}
+
+/**
+ * Merge request options with the defaults, ignoring invalid values
+ * @param {Object} options - Partial timing options
+ * @returns {Object} Complete timing options
+ */
+export function resolveTimingOptions(options = {}) {
+  const resolved = { ...DEFAULT_TIMING_OPTIONS };
+
+  if (isValidTimingTarget(options.target)) {
+    resolved.target = options.target;
+  }
+
+  if (isValidTimeZone(options.timeZone)) {
+    resolved.timeZone = options.timeZone;
+  }
+
+  ['lastMinuteDays', 'earlyBirdDays'].forEach(key => {
+    const value = parseInt(options[key]);
+    if (!isNaN(value) && value >= 0) {
+      resolved[key] = value;
+    }
+  });
+
+  if (resolved.earlyBirdDays < resolved.lastMinuteDays) {
+    resolved.earlyBirdDays = resolved.lastMinuteDays;
+  }
+
+  return resolved;
+}
+
+/**
+ * Whole calendar days between two dates, ignoring the time of day
+ * @param {Date} from - Start date
+ * @param {Date} to - End date
+ * @param {string} timeZone - IANA timezone whose calendar is used
+ * @returns {number} Days from `from` to `to` (negative when `to` is earlier)
+ */
+function daysBetween(from, to, timeZone) {
+  return zonedDayNumber(to, timeZone) - zonedDayNumber(from, timeZone);
+}
+
+/**
+ * Next occurrence of a recurring month/day on or after a date
+ * @param {{ month: number, day: number }} monthDay - Recurring date
+ * @param {Date} date - Reference date
+ * @param {string} timeZone - IANA timezone
+ * @returns {Date} Start of the next occurrence
+ */
+function nextOccurrence(monthDay, date, timeZone) {
+  const { year } = zonedParts(date, timeZone);
+  const thisYear = zonedTime(year, monthDay.month, monthDay.day, timeZone);
+  return daysBetween(date, thisYear, timeZone) >= 0
+    ? thisYear
+    : zonedTime(year + 1, monthDay.month, monthDay.day, timeZone);
+}
+
+/**
+ * Resolve the target date a purchase is measured against
+ * @param {Date} purchaseDate - When the purchase was made
+ * @param {Object} context - { list, owner } rows for the item (either may be missing)
+ * @param {Object} options - Resolved timing options
+ * @returns {Date} Target date
+ */
+export function resolveTargetDate(purchaseDate, { list, owner } = {}, options = DEFAULT_TIMING_OPTIONS) {
+  // A list's own event date always wins; a bare date is midnight on the profile's calendar
+  if (list?.event_date) {
+    const bareDate = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(list.event_date));
+    const eventDate = bareDate
+      ? zonedTime(parseInt(bareDate[1]), parseInt(bareDate[2]) - 1, parseInt(bareDate[3]), options.timeZone)
+      : new Date(list.event_date);
+    if (!isNaN(eventDate.getTime())) return eventDate;
+  }
+
+  let monthDay = CHRISTMAS;
+  if (options.target === 'birthday') {
+    monthDay = parseMonthDay(owner?.birthday) || CHRISTMAS;
+  } else if (options.target !== 'christmas') {
+    monthDay = parseMonthDay(options.target) || CHRISTMAS;
+  }
+
+  return nextOccurrence(monthDay, purchaseDate, options.timeZone);
+}
+
+/**
+ * Classify a single purchase relative to its target date
+ * @param {Date} purchaseDate - When the purchase was made
+ * @param {Date} targetDate - Date the gift is for
+ * @param {Object} options - Resolved timing options
+ * @returns {'earlyBird'|'onTime'|'lastMinute'} Timing bucket
+ */
+export function classifyPurchaseTiming(purchaseDate, targetDate, options = DEFAULT_TIMING_OPTIONS) {
+  const daysBefore = daysBetween(purchaseDate, targetDate, options.timeZone);
+  if (daysBefore <= options.lastMinuteDays) return 'lastMinute';
+  if (daysBefore > options.earlyBirdDays) return 'earlyBird';
+  return 'onTime';
+}
+
+/**
+ * Timing bucket of one purchased item, and whether its list's event date was the target
+ * @returns {{ bucket: string, eventDate: boolean }} bucket is 'onTime' without a purchase date
+ */
+function timeItem(item, purchasesById, listsById, ownersById, options) {
+  const purchase = purchasesById[item.purchase_id];
+  const purchaseDate = purchase?.created_at ? new Date(purchase.created_at) : null;
+
+  // Without a purchase date we can't tell; count it as on time so the buckets still add up
+  if (!purchaseDate || isNaN(purchaseDate.getTime())) {
+    return { bucket: 'onTime', eventDate: false };
+  }
+
+  const list = listsById[item.list_id];
+  const owner = list ? ownersById[list.owner_user_id] : null;
+  const targetDate = resolveTargetDate(purchaseDate, { list, owner }, options);
+  return {
+    bucket: classifyPurchaseTiming(purchaseDate, targetDate, options),
+    eventDate: Boolean(list?.event_date),
+  };
+}
+
+/**
+ * Bucket every purchased item into earlyBird / onTime / lastMinute
+ * The buckets always sum to the number of items passed in.
+ * @param {Array} items - Purchased list_item rows (with purchase_id, list_id)
+ * @param {Object} purchasesById - purchase.id -> purchase row (with created_at)
+ * @param {Object} listsById - list.id -> list row (may include event_date)
+ * @param {Object} ownersById - profile.id -> profile row (may include birthday)
+ * @param {Object} options - Resolved timing options
+ * @returns {{ earlyBird: number, onTime: number, lastMinute: number }}
+ */
+export function summarizePurchaseTiming(items, purchasesById, listsById = {}, ownersById = {}, options = DEFAULT_TIMING_OPTIONS) {
+  const timing = { earlyBird: 0, onTime: 0, lastMinute: 0 };
+  items.forEach(item => {
+    timing[timeItem(item, purchasesById, listsById, ownersById, options).bucket]++;
+  });
+  return timing;
+}
+
+/**
+ * Whether any last-minute purchase was timed against its list's event date
+ * rather than options.target, so text about them can name the right day
+ * Takes the same arguments as summarizePurchaseTiming.
+ * @returns {boolean}
+ */
+export function lastMinuteUsesEventDates(items, purchasesById, listsById = {}, ownersById = {}, options = DEFAULT_TIMING_OPTIONS) {
+  return items.some(item => {
+    const { bucket, eventDate } = timeItem(item, purchasesById, listsById, ownersById, options);
+    return bucket === 'lastMinute' && eventDate;
+  });
+}
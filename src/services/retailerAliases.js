@@ -0,0 +1,87 @@
+/**
+ * Retailer alias table
+ * Maps a normalized brand label (the part of the hostname before the
+ * public suffix, e.g. "amazon" for www.amazon.co.uk) to a display name.
+ * Add entries here to recognise new retailers.
+ */
+export const RETAILER_ALIASES = {
+  amazon: 'Amazon',
+  target: 'Target',
+  walmart: 'Walmart',
+  bestbuy: 'Best Buy',
+  etsy: 'Etsy',
+  ebay: 'eBay',
+  costco: 'Costco',
+  kohls: "Kohl's",
+  macys: "Macy's",
+  nordstrom: 'Nordstrom',
+  sephora: 'Sephora',
+  ulta: 'Ulta Beauty',
+  ikea: 'IKEA',
+  wayfair: 'Wayfair',
+  apple: 'Apple',
+  nike: 'Nike',
+  adidas: 'Adidas',
+  uniqlo: 'Uniqlo',
+  zara: 'Zara',
+  hm: 'H&M',
+  gap: 'Gap',
+  lego: 'LEGO',
+  barnesandnoble: 'Barnes & Noble',
+  bookshop: 'Bookshop.org',
+  waterstones: 'Waterstones',
+  argos: 'Argos',
+  johnlewis: 'John Lewis',
+  homedepot: 'The Home Depot',
+  lowes: "Lowe's",
+  rei: 'REI',
+  uncommongoods: 'Uncommon Goods',
+  aliexpress: 'AliExpress',
+  temu: 'Temu',
+  shein: 'SHEIN',
+};
+
+/**
+ * Hosts that are short links for a known retailer
+ * Maps the exact hostname to a key in RETAILER_ALIASES
+ */
+export const SHORT_LINK_HOSTS = {
+  'amzn.to': 'amazon',
+  'amzn.eu': 'amazon',
+  'amzn.com': 'amazon',
+  'a.co': 'amazon',
+  'tgt.gifts': 'target',
+  'ebay.us': 'ebay',
+  'etsy.me': 'etsy',
+};
+
+/**
+ * Affiliate and redirect hosts whose real destination is carried in
+ * a query parameter
+ */
+export const REDIRECT_HOSTS = [
+  'go.redirectingat.com',
+  'click.linksynergy.com',
+  'shareasale.com',
+  'www.shareasale.com',
+  'goto.target.com',
+  'goto.walmart.com',
+  'rover.ebay.com',
+  'l.facebook.com',
+  'l.instagram.com',
+  'out.reddit.com',
+  'www.google.com',
+  'google.com',
+  'href.li',
+];
+
+/**
+ * Redirect hosts that put the destination URL straight in the query
+ * string, e.g. https://href.li/?https://www.rei.com/product/7
+ */
+export const BARE_QUERY_REDIRECT_HOSTS = ['href.li'];
+
+/**
+ * Query parameters that may hold the destination URL of a redirect
+ */
+export const REDIRECT_PARAMS = ['url', 'u', 'murl', 'dest', 'destination', 'redirect', 'redirect_url', 'target', 'q', 'mpre', 'loc'];
@@ -0,0 +1,142 @@
+/**
+ * Retailer normalization service
+ * Parses list_item.link values into retailer display names and builds
+ * the per-retailer breakdown used for mostUsedRetailer
+ */
+
+import { RETAILER_ALIASES, SHORT_LINK_HOSTS, REDIRECT_HOSTS, BARE_QUERY_REDIRECT_HOSTS, REDIRECT_PARAMS } from './retailerAliases.js';
+
+// Bucket for items with no link or a host we don't recognise
+export const OTHER_RETAILER = 'Other/Homemade';
+
+// Second-level labels used under country code TLDs (amazon.co.uk, amazon.com.au)
+const SECOND_LEVEL_LABELS = ['co', 'com', 'org', 'net', 'ac', 'gov', 'ne', 'or'];
+
+// Subdomain prefixes stripped before lookups
+const STRIPPED_SUBDOMAINS = ['www', 'www2', 'smile', 'm', 'mobile', 'shop', 'store', 'de', 'uk', 'us'];
+
+// Guard against redirect loops
+const MAX_REDIRECT_DEPTH = 3;
+
+/**
+ * Parse a link into a URL object, tolerating missing schemes
+ * @param {string} link - Raw link from list_item.link
+ * @returns {URL|null} Parsed URL or null when unparseable
+ */
+function parseLink(link) {
+  if (!link || typeof link !== 'string') return null;
+  const trimmed = link.trim();
+  if (!trimmed) return null;
+
+  try {
+    return new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(trimmed) ? trimmed : `https://${trimmed}`);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Destination URL written as the whole query string, e.g. ?https://shop.example/item
+ * @param {URL} url - Parsed redirect URL
+ * @returns {URL|null} Destination, or null when the query string isn't a link
+ */
+function bareQueryDestination(url) {
+  const query = url.search.slice(1);
+  try {
+    return parseLink(/^https?%3A/i.test(query) ? decodeURIComponent(query) : query);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Follow affiliate/redirect wrappers to the destination URL
+ * @param {URL} url - Parsed URL
+ * @returns {URL} Destination URL (or the input when not a redirect)
+ */
+function unwrapRedirects(url) {
+  let current = url;
+  for (let depth = 0; depth < MAX_REDIRECT_DEPTH; depth++) {
+    const hostname = current.hostname.toLowerCase();
+    if (!REDIRECT_HOSTS.includes(hostname)) break;
+
+    const destination = [
+      ...REDIRECT_PARAMS.map(param => parseLink(current.searchParams.get(param))),
+      BARE_QUERY_REDIRECT_HOSTS.includes(hostname) ? bareQueryDestination(current) : null,
+    ].find(parsed => parsed && parsed.protocol.startsWith('http'));
+
+    if (!destination) break;
+    current = destination;
+  }
+  return current;
+}
+
+/**
+ * Reduce a hostname to its brand label
+ * e.g. smile.amazon.co.uk -> amazon, www.bestbuy.com -> bestbuy
+ * @param {string} hostname - URL hostname
+ * @returns {string} Brand label
+ */
+export function brandFromHostname(hostname) {
+  const labels = hostname.toLowerCase().replace(/\.$/, '').split('.');
+
+  // Drop the public suffix: one TLD, plus a second-level label for ccTLDs
+  labels.pop();
+  if (labels.length > 1 && SECOND_LEVEL_LABELS.includes(labels[labels.length - 1])) {
+    labels.pop();
+  }
+
+  while (labels.length > 1 && STRIPPED_SUBDOMAINS.includes(labels[0])) {
+    labels.shift();
+  }
+
+  return labels[labels.length - 1] || '';
+}
+
+/**
+ * Resolve a link to a retailer display name
+ * @param {string|null} link - Raw link from list_item.link
+ * @param {Object} aliases - Brand label -> display name table
+ * @returns {string} Retailer display name, or OTHER_RETAILER
+ */
+export function normalizeRetailer(link, aliases = RETAILER_ALIASES) {
+  const parsed = parseLink(link);
+  if (!parsed) return OTHER_RETAILER;
+
+  const url = unwrapRedirects(parsed);
+  const hostname = url.hostname.toLowerCase();
+
+  const shortLinkBrand = SHORT_LINK_HOSTS[hostname];
+  if (shortLinkBrand) return aliases[shortLinkBrand] || OTHER_RETAILER;
+
+  return aliases[brandFromHostname(hostname)] || OTHER_RETAILER;
+}
+
+/**
+ * Build a per-retailer breakdown of purchased items
+ * @param {Array} items - list_item rows with link and price
+ * @param {Object} aliases - Brand label -> display name table
+ * @returns {{ mostUsedRetailer: string, retailerBreakdown: Array<{ retailer: string, count: number, spend: number }> }}
+ */
+export function summarizeRetailers(items, aliases = RETAILER_ALIASES) {
+  const byRetailer = {};
+  items.forEach(item => {
+    const retailer = normalizeRetailer(item.link, aliases);
+    if (!byRetailer[retailer]) {
+      byRetailer[retailer] = { retailer, count: 0, spend: 0 };
+    }
+    byRetailer[retailer].count++;
+    byRetailer[retailer].spend += parseFloat(item.price) || 0;
+  });
+
+  const retailerBreakdown = Object.values(byRetailer)
+    .sort((a, b) => b.count - a.count || b.spend - a.spend);
+
+  // The Other/Homemade bucket is reported in the breakdown but never "most used"
+  const top = retailerBreakdown.find(entry => entry.retailer !== OTHER_RETAILER);
+
+  return {
+    mostUsedRetailer: top ? top.retailer : '',
+    retailerBreakdown,
+  };
+}
@@ -0,0 +1,130 @@
+/**
+ * Santa score service
+ * A 0-100 composite of generosity, thoughtfulness, punctuality and reach.
+ * Each component is percentile-ranked against every profile that gave a
+ * gift in the same year, then weighted into the total. The year's
+ * distributions come from the stored community aggregate, so requests
+ * never load the whole population.
+ */
+
+/**
+ * Default component weights (normalised, so they don't need to sum to 1)
+ */
+export const DEFAULT_SANTA_WEIGHTS = {
+  generosity: 0.3,
+  thoughtfulness: 0.25,
+  punctuality: 0.2,
+  reach: 0.25,
+};
+
+// Raw metrics that get a distribution in the community aggregate
+export const SANTA_METRICS = ['spend', 'gifts', 'thoughtfulness', 'punctuality', 'reach'];
+
+/**
+ * Raw santa metrics for one profile
+ * @param {Array} items - Purchased list_item rows (with list_id, price, suggested_by)
+ * @param {Object} listsById - list.id -> list row (with owner_user_id)
+ * @param {Object} timing - { earlyBird, onTime, lastMinute } for the same items
+ * @param {number|string} profileId - Buyer's profile ID
+ * @returns {{ spend: number, gifts: number, thoughtfulness: number, punctuality: number, reach: number }}
+ */
+export function santaMetrics(items, listsById, timing, profileId) {
+  const gifts = items.length;
+  const spend = items.reduce((sum, item) => sum + (parseFloat(item.price) || 0), 0);
+
+  // Wishlist items are on a recipient's list and weren't suggested by someone else
+  const wishlistItems = items.filter(item => {
+    const list = listsById[item.list_id];
+    return list && String(list.owner_user_id) !== String(profileId) && !item.suggested_by;
+  }).length;
+
+  const recipients = new Set(items
+    .map(item => listsById[item.list_id]?.owner_user_id)
+    .filter(ownerId => ownerId && String(ownerId) !== String(profileId))
+    .map(String));
+
+  return {
+    spend,
+    gifts,
+    thoughtfulness: gifts > 0 ? wishlistItems / gifts : 0,
+    punctuality: gifts > 0 ? (gifts - (timing?.lastMinute || 0)) / gifts : 0,
+    reach: recipients.size,
+  };
+}
+
+/**
+ * Percentile rank of a value within a population (0-100)
+ * Ties count as half above and half below.
+ * @param {number} value - Value to rank
+ * @param {number[]} values - Population values
+ * @returns {number} Percentile rank
+ */
+export function percentileRank(value, values) {
+  if (!values || values.length === 0) return 0;
+  let below = 0;
+  let equal = 0;
+  values.forEach(v => {
+    if (v < value) below++;
+    else if (v === value) equal++;
+  });
+  return ((below + equal / 2) / values.length) * 100;
+}
+
+/**
+ * Whether a community aggregate can rank santa scores
+ * Aggregates stored before santa distributions were added can't.
+ * @param {Object|null} aggregate - CommunityAggregate
+ * @returns {boolean}
+ */
+export function hasSantaDistributions(aggregate) {
+  return Boolean(aggregate?.populationSize) && SANTA_METRICS.every(key => aggregate.distributions?.santa?.[key]?.length);
+}
+
+/**
+ * Combine raw metrics into the santa score
+ * @param {Object} metrics - Raw metrics from santaMetrics
+ * @param {Object} aggregate - CommunityAggregate for the year, with distributions.santa cut points
+ * @param {Object} weights - Component weights (defaults to DEFAULT_SANTA_WEIGHTS)
+ * @returns {{ total: number, populationSize: number, components: Object }}
+ */
+export function calculateSantaScore(metrics, aggregate, weights = DEFAULT_SANTA_WEIGHTS) {
+  const resolvedWeights = { ...DEFAULT_SANTA_WEIGHTS, ...weights };
+  const weightSum = Object.keys(DEFAULT_SANTA_WEIGHTS)
+    .reduce((sum, key) => sum + Math.max(0, Number(resolvedWeights[key]) || 0), 0) || 1;
+
+  const rank = (key) => (metrics.gifts > 0 ? percentileRank(metrics[key], aggregate.distributions.santa[key]) : 0);
+
+  const percentiles = {
+    generosity: (rank('spend') + rank('gifts')) / 2,
+    thoughtfulness: rank('thoughtfulness'),
+    punctuality: rank('punctuality'),
+    reach: rank('reach'),
+  };
+
+  const raw = {
+    generosity: { spend: metrics.spend, gifts: metrics.gifts },
+    thoughtfulness: { wishlistShare: metrics.thoughtfulness },
+    punctuality: { onTimeShare: metrics.punctuality },
+    reach: { recipients: metrics.reach },
+  };
+
+  const components = {};
+  let total = 0;
+  Object.keys(DEFAULT_SANTA_WEIGHTS).forEach(key => {
+    const weight = Math.max(0, Number(resolvedWeights[key]) || 0) / weightSum;
+    const points = percentiles[key] * weight;
+    total += points;
+    components[key] = {
+      raw: raw[key],
+      percentile: Math.round(percentiles[key]),
+      weight: weight,
+      points: Math.round(points * 10) / 10,
+    };
+  });
+
+  return {
+    total: Math.round(total),
+    populationSize: aggregate.populationSize,
+    components,
+  };
+}
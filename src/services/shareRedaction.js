@@ -0,0 +1,190 @@
+/**
+ * Share redaction
+ * Turns a WrappedData result into the public view shown on shared cards,
+ * according to the privacy settings the owner picked when sharing.
+ * Links and other people's profile IDs are always removed.
+ */
+
+import { formatMoney, convertAmount, BASE_CURRENCY } from './currency.js';
+
+/**
+ * Default privacy settings
+ * - spending: 'range' (bucketed), 'hidden' or 'exact'
+ * - names: 'initials' or 'hidden' for other people's names
+ * - showItems: include item titles, thumbnails and list names
+ */
+export const DEFAULT_PRIVACY = {
+  spending: 'range',
+  names: 'initials',
+  showItems: true,
+};
+
+// Upper bounds of the spending ranges shown instead of exact amounts, in BASE_CURRENCY
+const SPENDING_BOUNDS = [25, 50, 100, 250, 500, 1000, 2500, 5000];
+
+// Percentiles and santa score components that rank how much was spent
+const SPENDING_PERCENTILES = ['totalSpending', 'mostExpensiveGift'];
+const SPENDING_COMPONENTS = ['generosity'];
+
+// Amounts quoted in text, e.g. "$120.00", "€45", "CA$10" or "12.00 XYZ"
+const MONEY_PATTERN = /[$€£¥₹]\s?\d|\d\s?[A-Z]{3}\b/;
+
+const wholeMoney = (amount, currency) => formatMoney(amount, currency, { minimumFractionDigits: 0, maximumFractionDigits: 0 });
+
+// Bounds converted to another currency, rounded to two significant figures
+const boundIn = (bound, currency) => {
+  const converted = convertAmount(bound, BASE_CURRENCY, currency) ?? bound;
+  const magnitude = 10 ** Math.max(0, Math.floor(Math.log10(converted)) - 1);
+  return Math.round(converted / magnitude) * magnitude;
+};
+
+/**
+ * Whether the personality reason would give away something the settings hide
+ * Reasons quote exact amounts (Big Spender), the priciest gift's title
+ * (Big Spender) and list names (Curator).
+ * @param {Object} data - WrappedData object
+ * @param {Object} settings - Resolved privacy settings
+ * @returns {boolean}
+ */
+function reasonRevealsHidden(data, settings) {
+  const reason = data.personalityReason || '';
+  if (settings.spending !== 'exact' && MONEY_PATTERN.test(reason)) return true;
+  if (settings.showItems) return false;
+
+  const itemText = [data.stats.mostExpensiveGift?.title, data.listStats.listWithMostItems?.name];
+  return itemText.some(text => text && reason.includes(text));
+}
+
+/**
+ * Validate privacy settings, falling back to defaults
+ * @param {Object} privacy - Requested settings
+ * @returns {Object} Complete privacy settings
+ */
+export function resolvePrivacy(privacy = {}) {
+  return {
+    spending: ['range', 'hidden', 'exact'].includes(privacy.spending) ? privacy.spending : DEFAULT_PRIVACY.spending,
+    names: ['initials', 'hidden'].includes(privacy.names) ? privacy.names : DEFAULT_PRIVACY.names,
+    showItems: typeof privacy.showItems === 'boolean' ? privacy.showItems : DEFAULT_PRIVACY.showItems,
+  };
+}
+
+/**
+ * Bucket an amount into a display range
+ * @param {number} amount - Exact amount
+ * @param {string} currency - Currency the amount is in (defaults to BASE_CURRENCY)
+ * @returns {{ min: number, max: number|null, label: string }} Range (max null for the top bucket)
+ */
+export function spendingRange(amount, currency = BASE_CURRENCY) {
+  const value = Number(amount) || 0;
+  if (value <= 0) return { min: 0, max: 0, label: wholeMoney(0, currency) };
+
+  let min = 0;
+  for (const bound of SPENDING_BOUNDS) {
+    const max = boundIn(bound, currency);
+    if (value < max) return { min, max, label: `${wholeMoney(min, currency)}-${wholeMoney(max, currency)}` };
+    min = max;
+  }
+  return { min, max: null, label: `${wholeMoney(min, currency)}+` };
+}
+
+/**
+ * Initials for a "First Last" name
+ * @param {string} name - Full name
+ * @returns {string} e.g. "J.D."
+ */
+export function initials(name) {
+  if (!name || name === 'Unknown') return '?';
+  return name.split(/\s+/).filter(Boolean).map(part => `${part[0].toUpperCase()}.`).join('');
+}
+
+/**
+ * Build the redacted public view of a Wrapped result
+ * @param {Object} data - WrappedData object
+ * @param {Object} privacy - Privacy settings (see DEFAULT_PRIVACY)
+ * @returns {Object} Redacted WrappedData
+ */
+export function redactWrappedData(data, privacy = DEFAULT_PRIVACY) {
+  const settings = resolvePrivacy(privacy);
+  const amount = (value) => {
+    if (settings.spending === 'exact') return value;
+    if (settings.spending === 'hidden') return null;
+    return spendingRange(value, data.stats.currency);
+  };
+  const name = (value) => (settings.names === 'initials' ? initials(value) : null);
+  // Spending ranks give away roughly how much was spent
+  const showsSpendingRank = (key, spendingKeys) => settings.spending === 'exact' || !spendingKeys.includes(key);
+
+  const { stats, listStats } = data;
+
+  return {
+    year: data.year,
+    stats: {
+      ...stats,
+      totalSpending: amount(stats.totalSpending),
+      mostExpensiveGift: {
+        title: settings.showItems ? stats.mostExpensiveGift.title : '',
+        price: amount(stats.mostExpensiveGift.price),
+        thumbnail_url: settings.showItems ? stats.mostExpensiveGift.thumbnail_url : null,
+      },
+    },
+    personalityType: data.personalityType,
+    personalityReason: reasonRevealsHidden(data, settings) ? '' : data.personalityReason,
+    listStats: {
+      totalListsCreated: listStats.totalListsCreated,
+      listWithMostItems: listStats.listWithMostItems ? {
+        name: settings.showItems ? listStats.listWithMostItems.name : null,
+        itemCount: listStats.listWithMostItems.itemCount,
+      } : null,
+      mostActiveDay: listStats.mostActiveDay ? {
+        date: listStats.mostActiveDay.date,
+        itemCount: listStats.mostActiveDay.itemCount,
+        items: settings.showItems
+          ? (listStats.mostActiveDay.items || []).map(item => ({ title: item.title, thumbnail_url: item.thumbnail_url }))
+          : [],
+      } : null,
+      suggestedGiftCounts: settings.names === 'hidden'
+        ? []
+        : listStats.suggestedGiftCounts.map(entry => ({ count: entry.count, name: name(entry.name) })),
+    },
+    exchangePartners: settings.names === 'hidden'
+      ? []
+      : data.exchangePartners.map(partner => ({
+        name: name(partner.name),
+        given: partner.given,
+        received: partner.received,
+        total: partner.total,
+      })),
+    recipients: settings.names === 'hidden'
+      ? []
+      : (data.recipients || []).map(recipient => ({
+        name: name(recipient.name),
+        items: recipient.items,
+        spend: amount(recipient.spend),
+        fromWishlist: recipient.fromWishlist,
+        suggested: recipient.suggested,
+        wishlistHitRate: recipient.wishlistHitRate,
+      })),
+    // Counts only, like mostActiveDay
+    activity: data.activity || null,
+    santaScoreBreakdown: data.santaScoreBreakdown ? {
+      total: data.santaScoreBreakdown.total,
+      components: Object.fromEntries(Object.entries(data.santaScoreBreakdown.components)
+        .map(([key, component]) => [key, showsSpendingRank(key, SPENDING_COMPONENTS)
+          ? { percentile: component.percentile, points: component.points }
+          : { percentile: null, points: null }])),
+    } : null,
+    percentiles: data.percentiles ? {
+      ...data.percentiles,
+      stats: Object.fromEntries(Object.entries(data.percentiles.stats)
+        .filter(([key]) => showsSpendingRank(key, SPENDING_PERCENTILES))),
+    } : null,
+    streak: data.streak,
+    retailerBreakdown: data.retailerBreakdown.map(entry => ({ retailer: entry.retailer, count: entry.count })),
+    categoryBreakdown: data.categoryBreakdown.map(entry => ({ category: entry.category, count: entry.count })),
+    currencyBreakdown: (data.currencyBreakdown || []).map(entry => ({ currency: entry.currency, count: entry.count })),
+    homemadeGiftItems: settings.showItems
+      ? data.homemadeGiftItems.map(item => ({ title: item.title }))
+      : [],
+    warnings: (data.warnings || []).map(({ code, sections, message }) => ({ code, sections, message })),
+  };
+}
@@ -0,0 +1,120 @@
+/**
+ * Share tokens
+ * Signed, expiring tokens that let anyone view a redacted Wrapped for one
+ * profile and year. Tokens are HMAC-SHA256 signed with SHARE_TOKEN_SECRET
+ * and carry the owner's privacy settings. Revoked share IDs are kept in
+ * the share_revocations table, so a revocation applies on every instance
+ * and can't be evicted.
+ */
+
+import { createHmac, randomBytes, timingSafeEqual } from 'crypto';
+import { UpstreamError } from './errors.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const DEFAULT_SHARE_TTL_DAYS = 30;
+export const MAX_SHARE_TTL_DAYS = 90;
+
+const base64url = (value) => Buffer.from(value).toString('base64url');
+
+const sign = (payload, secret) => createHmac('sha256', secret).update(payload).digest('base64url');
+
+export const REVOCATIONS_TABLE = 'share_revocations';
+
+/**
+ * Mint a share token
+ * @param {Object} share - What is being shared
+ * @param {number|string} share.profileId - Profile ID
+ * @param {number} share.year - Wrapped year
+ * @param {Object} share.privacy - Privacy settings (see DEFAULT_PRIVACY)
+ * @param {number} share.expiresInDays - Lifetime in days (capped at MAX_SHARE_TTL_DAYS)
+ * @param {string} secret - Signing secret
+ * @returns {{ token: string, shareId: string, expiresAt: string }}
+ */
+export function createShareToken({ profileId, year, privacy, expiresInDays = DEFAULT_SHARE_TTL_DAYS }, secret) {
+  const days = Math.min(Math.max(parseInt(expiresInDays) || DEFAULT_SHARE_TTL_DAYS, 1), MAX_SHARE_TTL_DAYS);
+  const shareId = randomBytes(9).toString('base64url');
+  const exp = Date.now() + days * DAY_MS;
+
+  const payload = base64url(JSON.stringify({ sid: shareId, pid: String(profileId), y: year, exp, p: privacy }));
+  return {
+    token: `${payload}.${sign(payload, secret)}`,
+    shareId,
+    expiresAt: new Date(exp).toISOString(),
+  };
+}
+
+/**
+ * Whether a share has been revoked
+ * @param {Object} supabase - Client that can read REVOCATIONS_TABLE
+ * @param {number|string} profileId - Profile the share belongs to
+ * @param {string} shareId - Share ID
+ * @returns {Promise<boolean>}
+ * @throws {UpstreamError} When the query fails
+ */
+async function isRevoked(supabase, profileId, shareId) {
+  const { data, error } = await supabase
+    .from(REVOCATIONS_TABLE)
+    .select('share_id')
+    .eq('share_id', shareId)
+    .eq('profile_id', profileId)
+    .maybeSingle();
+
+  if (error) {
+    throw new UpstreamError('Failed to fetch share revocation', error);
+  }
+  return Boolean(data);
+}
+
+/**
+ * Verify a share token
+ * @param {string} token - Token from the share URL
+ * @param {string} secret - Signing secret
+ * @param {Object} supabase - Client that can read REVOCATIONS_TABLE (e.g. the service role client)
+ * @returns {Promise<{ valid: boolean, reason?: string, share?: Object }>}
+ *   reason is 'invalid', 'expired' or 'revoked'; share is { shareId, profileId, year, privacy }
+ * @throws {UpstreamError} When revocations can't be read, rather than serving a share that may be revoked
+ */
+export async function verifyShareToken(token, secret, supabase) {
+  const [payload, signature] = String(token || '').split('.');
+  if (!payload || !signature) return { valid: false, reason: 'invalid' };
+
+  const expected = Buffer.from(sign(payload, secret));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !timingSafeEqual(expected, actual)) {
+    return { valid: false, reason: 'invalid' };
+  }
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch {
+    return { valid: false, reason: 'invalid' };
+  }
+
+  if (!claims.exp || claims.exp <= Date.now()) return { valid: false, reason: 'expired' };
+  if (await isRevoked(supabase, claims.pid, claims.sid)) return { valid: false, reason: 'revoked' };
+
+  return {
+    valid: true,
+    share: { shareId: claims.sid, profileId: claims.pid, year: claims.y, privacy: claims.p || {} },
+  };
+}
+
+/**
+ * Revoke a share so its token stops working, on every instance
+ * @param {Object} supabase - Client that can write REVOCATIONS_TABLE (e.g. the service role client)
+ * @param {number|string} profileId - Profile the share belongs to
+ * @param {string} shareId - Share ID returned when the token was minted
+ * @returns {Promise<void>}
+ * @throws {UpstreamError} When the write fails
+ */
+export async function revokeShare(supabase, profileId, shareId) {
+  const { error } = await supabase
+    .from(REVOCATIONS_TABLE)
+    .upsert({ share_id: shareId, profile_id: profileId, revoked_at: new Date().toISOString() }, { onConflict: 'share_id' });
+
+  if (error) {
+    throw new UpstreamError('Failed to revoke share', error);
+  }
+}
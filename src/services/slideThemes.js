@@ -0,0 +1,30 @@
+/**
+ * Slide themes
+ * Colours and fonts used when rendering Wrapped slides. Add a theme here
+ * and it becomes available through the ?theme= query parameter.
+ */
+export const SLIDE_THEMES = {
+  default: {
+    background: ['#1d1b4b', '#5b2a86'],
+    foreground: '#ffffff',
+    accent: '#ffd166',
+    muted: '#c9c3f0',
+    fontFamily: "'Helvetica Neue', Helvetica, Arial, sans-serif",
+  },
+  festive: {
+    background: ['#0b3d2e', '#a4161a'],
+    foreground: '#fffaf0',
+    accent: '#f4d35e',
+    muted: '#e9d8c4',
+    fontFamily: "Georgia, 'Times New Roman', serif",
+  },
+  light: {
+    background: ['#fdfcfb', '#e2d1c3'],
+    foreground: '#1f1f1f',
+    accent: '#d7263d',
+    muted: '#6b6b6b',
+    fontFamily: "'Helvetica Neue', Helvetica, Arial, sans-serif",
+  },
+};
+
+export const DEFAULT_SLIDE_THEME = 'default';
@@ -0,0 +1,299 @@
+/**
+ * Wrapped slide rendering
+ * Renders one SVG per stat in pure JS, so it runs in the Vercel function
+ * without native dependencies. Each slide template turns WrappedData into
+ * a small slide model (eyebrow, headline, subline, optional image); a
+ * single layout renders every model with the chosen theme.
+ */
+
+import dns from 'dns';
+import https from 'https';
+import net from 'net';
+import { SLIDE_THEMES, DEFAULT_SLIDE_THEME } from './slideThemes.js';
+import { formatMoney } from './currency.js';
+import { logger } from './logger.js';
+
+// Story-sized canvas
+const WIDTH = 1080;
+const HEIGHT = 1920;
+
+// Thumbnails larger than this are linked instead of embedded
+const MAX_EMBEDDED_IMAGE_BYTES = 2 * 1024 * 1024;
+const IMAGE_FETCH_TIMEOUT_MS = 3000;
+
+// Addresses a thumbnail host must never resolve to: loopback, private,
+// link-local (incl. cloud metadata), CGNAT, multicast and reserved ranges
+const PRIVATE_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3],
+].forEach(([prefix, bits]) => PRIVATE_ADDRESSES.addSubnet(prefix, bits, 'ipv4'));
+[
+  ['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+].forEach(([prefix, bits]) => PRIVATE_ADDRESSES.addSubnet(prefix, bits, 'ipv6'));
+
+/**
+ * Escape text for use in SVG markup
+ * @param {*} value - Text to escape
+ * @returns {string} Escaped text
+ */
+export function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Break text into lines of at most maxChars, ellipsising past maxLines
+ * @param {string} text - Text to wrap
+ * @param {number} maxChars - Characters per line
+ * @param {number} maxLines - Lines before truncating
+ * @returns {string[]} Lines
+ */
+export function wrapText(text, maxChars, maxLines) {
+  const words = String(text || '').split(/\s+/).filter(Boolean);
+  const lines = [];
+  let line = '';
+
+  words.forEach(word => {
+    const next = line ? `${line} ${word}` : word;
+    if (next.length <= maxChars || !line) {
+      line = next;
+    } else {
+      lines.push(line);
+      line = word;
+    }
+  });
+  if (line) lines.push(line);
+
+  if (lines.length > maxLines) {
+    const kept = lines.slice(0, maxLines);
+    kept[maxLines - 1] = `${kept[maxLines - 1].slice(0, maxChars - 1)}…`;
+    return kept;
+  }
+  return lines.map(l => (l.length > maxChars ? `${l.slice(0, maxChars - 1)}…` : l));
+}
+
+/**
+ * Slide templates: name -> (data) => slide model
+ */
+export const SLIDE_TEMPLATES = {
+  'total-gifts': (data) => ({
+    eyebrow: `Your ${data.year} in gifts`,
+    headline: String(data.stats.totalGiftsGiven),
+    caption: data.stats.totalGiftsGiven === 1 ? 'gift given' : 'gifts given',
+    subline: `to ${data.stats.peopleExchangedWith} ${data.stats.peopleExchangedWith === 1 ? 'person' : 'people'}, and ${data.stats.totalGiftsReceived} received`,
+  }),
+
+  'most-expensive-gift': (data) => ({
+    eyebrow: 'Your biggest splurge',
+    headline: formatMoney(data.stats.mostExpensiveGift.price, data.stats.currency),
+    caption: data.stats.mostExpensiveGift.title || 'No gifts yet',
+    subline: `out of ${formatMoney(data.stats.totalSpending, data.stats.currency)} this year`,
+    image: data.stats.mostExpensiveGift.thumbnail_url,
+  }),
+
+  'most-active-day': (data) => {
+    const day = data.listStats?.mostActiveDay;
+    if (!day) {
+      return { eyebrow: 'Your busiest day', headline: '—', caption: 'No items added yet', subline: '' };
+    }
+    const date = new Date(`${day.date}T00:00:00Z`);
+    return {
+      eyebrow: 'Your busiest day',
+      headline: date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: 'UTC' }),
+      caption: `${day.itemCount} ${day.itemCount === 1 ? 'item' : 'items'} added`,
+      subline: date.toLocaleDateString('en-US', { weekday: 'long', timeZone: 'UTC' }),
+    };
+  },
+
+  'shopping-time': (data) => {
+    const time = data.activity?.busiestTime;
+    if (!time) {
+      return { eyebrow: 'When you shop', headline: '—', caption: 'No gifts bought yet', subline: '' };
+    }
+    return {
+      eyebrow: 'You shop most on',
+      headline: `${time.weekdayName}s`,
+      caption: time.partOfDay === 'night' ? 'at night' : `in the ${time.partOfDay}`,
+      subline: `${time.purchased} ${time.purchased === 1 ? 'gift' : 'gifts'} bought then`,
+    };
+  },
+
+  personality: (data) => ({
+    eyebrow: 'Your gifting personality',
+    headline: data.personalityType || 'Gifter',
+    caption: '',
+    subline: data.personalityReason,
+  }),
+};
+
+export const SLIDE_NAMES = Object.keys(SLIDE_TEMPLATES);
+
+/**
+ * Render a slide model as SVG
+ * @param {Object} model - { eyebrow, headline, caption, subline, image }
+ * @param {Object} theme - Theme from SLIDE_THEMES
+ * @returns {string} SVG document
+ */
+export function renderSlideModel(model, theme) {
+  const [from, to] = theme.background;
+  const hasImage = Boolean(model.image);
+  const headlineY = hasImage ? 1180 : 900;
+
+  const headlineLines = wrapText(model.headline, 10, 2);
+  const headlineSize = headlineLines.some(line => line.length > 6) ? 150 : 220;
+  const captionLines = wrapText(model.caption, 24, 3);
+  const sublineLines = wrapText(model.subline, 34, 4);
+
+  const tspans = (lines, x, lineHeight) => lines
+    .map((line, i) => `<tspan x="${x}" dy="${i === 0 ? 0 : lineHeight}">${escapeXml(line)}</tspan>`)
+    .join('');
+
+  const captionY = Math.round(headlineY + headlineLines.length * headlineSize * 0.95 + 40);
+  const sublineY = captionY + captionLines.length * 70 + 60;
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="${WIDTH}" height="${HEIGHT}" viewBox="0 0 ${WIDTH} ${HEIGHT}">
+  <defs>
+    <linearGradient id="bg" x1="0" y1="0" x2="1" y2="1">
+      <stop offset="0%" stop-color="${escapeXml(from)}"/>
+      <stop offset="100%" stop-color="${escapeXml(to)}"/>
+    </linearGradient>
+    <clipPath id="thumb"><rect x="290" y="420" width="500" height="500" rx="48"/></clipPath>
+  </defs>
+  <rect width="${WIDTH}" height="${HEIGHT}" fill="url(#bg)"/>
+  <g font-family="${escapeXml(theme.fontFamily)}" text-anchor="middle">
+    <text x="${WIDTH / 2}" y="260" font-size="56" fill="${escapeXml(theme.muted)}" letter-spacing="4">${escapeXml(model.eyebrow.toUpperCase())}</text>
+    ${hasImage ? `<image href="${escapeXml(model.image)}" xlink:href="${escapeXml(model.image)}" x="290" y="420" width="500" height="500" preserveAspectRatio="xMidYMid slice" clip-path="url(#thumb)"/>` : ''}
+    <text x="${WIDTH / 2}" y="${headlineY}" font-size="${headlineSize}" font-weight="700" fill="${escapeXml(theme.accent)}">${tspans(headlineLines, WIDTH / 2, headlineSize * 0.95)}</text>
+    <text x="${WIDTH / 2}" y="${captionY}" font-size="64" font-weight="600" fill="${escapeXml(theme.foreground)}">${tspans(captionLines, WIDTH / 2, 70)}</text>
+    <text x="${WIDTH / 2}" y="${sublineY}" font-size="44" fill="${escapeXml(theme.muted)}">${tspans(sublineLines, WIDTH / 2, 56)}</text>
+    <text x="${WIDTH / 2}" y="${HEIGHT - 120}" font-size="40" fill="${escapeXml(theme.muted)}" letter-spacing="6">GAVA WRAPPED</text>
+  </g>
+</svg>
+`;
+}
+
+/**
+ * Whether an IP address is loopback, private, link-local or otherwise not public
+ * IPv4-mapped IPv6 addresses are checked as IPv4.
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} true for non-public or unparseable addresses
+ */
+export function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  if (family === 0) return true;
+  return PRIVATE_ADDRESSES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * dns.lookup that fails for hosts resolving to a private address
+ * Used as the socket's lookup, so the address checked is the one connected to.
+ */
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    if (addresses.length === 0 || addresses.some(({ address }) => isPrivateAddress(address))) {
+      return callback(new Error('Image host resolves to a private address'));
+    }
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+/**
+ * GET an image over https, without following redirects
+ * @param {string} url - Image URL
+ * @returns {Promise<{ contentType: string, buffer: Buffer }|null>} null when the
+ *   response isn't a 200 image of at most MAX_EMBEDDED_IMAGE_BYTES
+ */
+function fetchImage(url) {
+  return new Promise((resolve, reject) => {
+    const request = https.get(url, { lookup: publicLookup, signal: AbortSignal.timeout(IMAGE_FETCH_TIMEOUT_MS) }, (response) => {
+      const contentType = response.headers['content-type'] || '';
+      // A redirect could point anywhere, including internal hosts, so it isn't followed
+      if (response.statusCode !== 200 || !contentType.startsWith('image/')
+        || Number(response.headers['content-length']) > MAX_EMBEDDED_IMAGE_BYTES) {
+        request.destroy();
+        resolve(null);
+        return;
+      }
+
+      // Content-Length can be missing or wrong, so count while reading and stop at the cap
+      const chunks = [];
+      let size = 0;
+      response.on('data', (chunk) => {
+        size += chunk.length;
+        if (size > MAX_EMBEDDED_IMAGE_BYTES) {
+          request.destroy();
+          resolve(null);
+          return;
+        }
+        chunks.push(chunk);
+      });
+      response.on('end', () => resolve({ contentType, buffer: Buffer.concat(chunks) }));
+      response.on('error', reject);
+    });
+    request.on('error', reject);
+  });
+}
+
+/**
+ * Fetch an image and inline it as a data URI
+ * Remote images don't load when an SVG is shown through an <img> tag,
+ * so thumbnails are embedded. Falls back to the original URL on failure,
+ * for redirects, for images over MAX_EMBEDDED_IMAGE_BYTES and for hosts
+ * we won't fetch from (anything resolving to a private address).
+ * @param {string} url - Image URL
+ * @returns {Promise<string>} Data URI, or the original URL
+ */
+export async function embedImage(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return url;
+  }
+
+  // Only fetch public https hosts, never localhost or raw IPs
+  if (parsed.protocol !== 'https:' || parsed.hostname === 'localhost' || /^[\d.]+$|:/.test(parsed.hostname)) {
+    return url;
+  }
+
+  try {
+    const image = await fetchImage(url);
+    if (!image) return url;
+
+    const { contentType, buffer } = image;
+    return `data:${contentType.split(';')[0]};base64,${buffer.toString('base64')}`;
+  } catch (error) {
+    // Image URLs can identify the gift, so only the host is logged
+    logger.warn('Failed to embed slide image', { host: parsed.host, error: error.message });
+    return url;
+  }
+}
+
+/**
+ * Render a named slide for a Wrapped result
+ * @param {string} slideName - One of SLIDE_NAMES
+ * @param {Object} data - WrappedData object
+ * @param {Object} options - Render options
+ * @param {string} options.theme - Theme name from SLIDE_THEMES
+ * @param {boolean} options.embedImages - Inline thumbnails as data URIs (default true)
+ * @returns {Promise<string|null>} SVG document, or null for an unknown slide
+ */
+export async function renderSlide(slideName, data, { theme = DEFAULT_SLIDE_THEME, embedImages = true } = {}) {
+  const template = SLIDE_TEMPLATES[slideName];
+  if (!template) return null;
+
+  const model = template(data);
+  if (model.image && embedImages) {
+    model.image = await embedImage(model.image);
+  }
+
+  return renderSlideModel(model, SLIDE_THEMES[theme] || SLIDE_THEMES[DEFAULT_SLIDE_THEME]);
+}
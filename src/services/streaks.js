@@ -0,0 +1,93 @@
+/**
+ * Gift-giving streak service
+ * Finds the longest and current runs of consecutive periods (weeks,
+ * months or years) in which a profile bought at least one gift.
+ * Periods follow the calendar of the given timezone.
+ */
+
+import { zonedParts } from './timezone.js';
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+export const STREAK_PERIODS = ['weeks', 'months', 'years'];
+export const DEFAULT_STREAK_PERIOD = 'months';
+
+/**
+ * Sequential index of the period containing a date
+ * Consecutive periods have consecutive indexes.
+ * @param {Date} date - Date to index
+ * @param {string} period - 'weeks', 'months' or 'years'
+ * @param {string} timeZone - IANA timezone (defaults to UTC)
+ * @returns {number} Period index
+ */
+export function periodIndex(date, period, timeZone = 'UTC') {
+  const { year, month, day: dayOfMonth } = zonedParts(date, timeZone);
+  if (period === 'years') return year;
+  if (period === 'months') return year * 12 + month;
+
+  // Weeks start on Monday; Jan 5 1970 was a Monday
+  const day = Date.UTC(year, month, dayOfMonth) / MS_PER_DAY;
+  return Math.floor((day - 4) / 7);
+}
+
+/**
+ * First day of the period with the given index
+ * @param {number} index - Period index from periodIndex
+ * @param {string} period - 'weeks', 'months' or 'years'
+ * @returns {string} Start date as YYYY-MM-DD
+ */
+export function periodStart(index, period) {
+  let date;
+  if (period === 'years') {
+    date = new Date(Date.UTC(index, 0, 1));
+  } else if (period === 'months') {
+    date = new Date(Date.UTC(Math.floor(index / 12), index % 12, 1));
+  } else {
+    date = new Date((index * 7 + 4) * MS_PER_DAY);
+  }
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Calculate longest and current streaks from purchase dates
+ * @param {Array<string|Date>} dates - Purchase timestamps (any order)
+ * @param {string} period - 'weeks', 'months' or 'years'
+ * @param {Date} referenceDate - "Now" for the current streak
+ * @param {string} timeZone - IANA timezone whose calendar periods are used (defaults to UTC)
+ * @returns {{ period: string, longest: number, longestStart: string|null, current: number, currentStart: string|null }}
+ */
+export function calculateStreaks(dates, period = DEFAULT_STREAK_PERIOD, referenceDate = new Date(), timeZone = 'UTC') {
+  const indexes = [...new Set(dates
+    .map(date => new Date(date))
+    .filter(date => !isNaN(date.getTime()))
+    .map(date => periodIndex(date, period, timeZone)))]
+    .sort((a, b) => a - b);
+
+  const result = { period, longest: 0, longestStart: null, current: 0, currentStart: null };
+  if (indexes.length === 0) return result;
+
+  let runStart = indexes[0];
+  let runLength = 0;
+  indexes.forEach((index, i) => {
+    if (i > 0 && index !== indexes[i - 1] + 1) {
+      runStart = index;
+      runLength = 0;
+    }
+    runLength++;
+    if (runLength > result.longest) {
+      result.longest = runLength;
+      result.longestStart = periodStart(runStart, period);
+    }
+  });
+
+  // The last run is ongoing if it reaches this period, or the previous one
+  // (the current period isn't over yet, so a gap there doesn't break it)
+  const referenceIndex = periodIndex(referenceDate, period, timeZone);
+  const lastIndex = indexes[indexes.length - 1];
+  if (lastIndex >= referenceIndex - 1) {
+    result.current = runLength;
+    result.currentStart = periodStart(runStart, period);
+  }
+
+  return result;
+}
@@ -0,0 +1,150 @@
+/**
+ * Timezone helpers
+ * Calendar maths in an IANA timezone using Intl, so year boundaries, day
+ * groupings and "days before" counts follow the profile's wall clock
+ * rather than the server's (UTC on Vercel).
+ */
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Used when neither the request nor the profile names a timezone
+export const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'UTC';
+
+const formatters = new Map();
+
+/**
+ * Cached Intl formatter that splits a date into numeric parts in a timezone
+ */
+function formatterFor(timeZone) {
+  let formatter = formatters.get(timeZone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+    });
+    formatters.set(timeZone, formatter);
+  }
+  return formatter;
+}
+
+/**
+ * Whether a string is an IANA timezone this runtime knows
+ * @param {string} timeZone - e.g. 'America/Los_Angeles'
+ * @returns {boolean}
+ */
+export function isValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    formatterFor(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Pick the timezone for a calculation
+ * @param {string} requested - Timezone from the request (e.g. the tz query parameter)
+ * @param {Object} profile - Profile row (may include a timezone column)
+ * @returns {string} IANA timezone
+ */
+export function resolveTimeZone(requested, profile) {
+  if (isValidTimeZone(requested)) return requested;
+  if (isValidTimeZone(profile?.timezone)) return profile.timezone;
+  return DEFAULT_TIMEZONE;
+}
+
+/**
+ * Wall-clock parts of a date in a timezone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA timezone
+ * @returns {{ year: number, month: number, day: number, hour: number, minute: number, second: number }} Zero-based month
+ */
+export function zonedParts(date, timeZone) {
+  const parts = {};
+  formatterFor(timeZone).formatToParts(date).forEach(({ type, value }) => {
+    if (type !== 'literal') parts[type] = parseInt(value);
+  });
+  return {
+    year: parts.year,
+    month: parts.month - 1,
+    day: parts.day,
+    hour: parts.hour,
+    minute: parts.minute,
+    second: parts.second,
+  };
+}
+
+/**
+ * Offset of a timezone from UTC at an instant
+ * @returns {number} Milliseconds to add to UTC to get wall-clock time
+ */
+function offsetAt(date, timeZone) {
+  const p = zonedParts(date, timeZone);
+  const wallClock = Date.UTC(p.year, p.month, p.day, p.hour, p.minute, p.second);
+  return wallClock - (date.getTime() - date.getUTCMilliseconds());
+}
+
+/**
+ * The instant a wall-clock time happens in a timezone
+ * Times skipped by a DST jump resolve to the same clock time after it.
+ * @param {number} year - Year
+ * @param {number} month - Zero-based month (overflow rolls into the next year)
+ * @param {number} day - Day of the month
+ * @param {string} timeZone - IANA timezone
+ * @param {number} hour - Hour (default 0)
+ * @returns {Date} Instant
+ */
+export function zonedTime(year, month, day, timeZone, hour = 0) {
+  const wallClock = Date.UTC(year, month, day, hour);
+  // Two passes settle the offset on either side of a DST change
+  const first = wallClock - offsetAt(new Date(wallClock), timeZone);
+  const second = wallClock - offsetAt(new Date(first), timeZone);
+  if (offsetAt(new Date(second), timeZone) === wallClock - second) {
+    return new Date(second);
+  }
+  // The passes only disagree when the clock time was skipped; use the instant just after the jump
+  return new Date(Math.max(first, second));
+}
+
+/**
+ * First and last instants of a year in a timezone
+ * @param {number} year - Calendar year
+ * @param {string} timeZone - IANA timezone
+ * @returns {{ yearStart: Date, yearEnd: Date }}
+ */
+export function zonedYearRange(year, timeZone) {
+  return {
+    yearStart: zonedTime(year, 0, 1, timeZone),
+    yearEnd: new Date(zonedTime(year + 1, 0, 1, timeZone).getTime() - 1),
+  };
+}
+
+/**
+ * Calendar date of an instant in a timezone
+ * @param {Date|string} date - Instant
+ * @param {string} timeZone - IANA timezone
+ * @returns {string} YYYY-MM-DD
+ */
+export function zonedDateKey(date, timeZone) {
+  const { year, month, day } = zonedParts(new Date(date), timeZone);
+  return `${year}-${String(month + 1).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Sequential day number of an instant's calendar date in a timezone
+ * Consecutive dates have consecutive numbers, whatever DST does.
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA timezone
+ * @returns {number} Days since 1970-01-01
+ */
+export function zonedDayNumber(date, timeZone) {
+  const { year, month, day } = zonedParts(date, timeZone);
+  return Date.UTC(year, month, day) / MS_PER_DAY;
+}
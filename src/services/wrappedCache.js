@@ -0,0 +1,197 @@
+/**
+ * Wrapped result cache
+ * Caches calculatePatientData results per profile and year. Closed years
+ * never change, so they are kept much longer than the current year.
+ * Each profile's version is the time its results were last invalidated,
+ * kept in the wrapped_invalidations table so it survives cache eviction
+ * and is the same on every instance; bumping it skips every cached year
+ * and option combination for the profile at once.
+ * Results are also keyed by the role of the client they were calculated
+ * with, since a share view's client can see rows the owner's can't.
+ * On a miss, a precomputed result (see precompute.js) is used when the
+ * request is the owner's, has default options and the result is newer than the
+ * last invalidation and either computed after its year closed or younger than
+ * PRECOMPUTED_MAX_AGE_MS; otherwise the result is calculated live.
+ */
+
+import { createHash } from 'crypto';
+import { calculatePatientData } from './dataCalculator.js';
+import { loadPrecomputed } from './precompute.js';
+import { zonedYearRange } from './timezone.js';
+import { UpstreamError } from './errors.js';
+import { logger as defaultLogger } from './logger.js';
+
+// Table recording when each profile's cached results were last invalidated
+export const INVALIDATIONS_TABLE = 'wrapped_invalidations';
+
+const parseSeconds = (value, fallback) => {
+  const seconds = parseInt(value);
+  return isNaN(seconds) || seconds < 0 ? fallback : seconds;
+};
+
+// TTLs, overridable with CACHE_TTL_CLOSED_YEAR_SECONDS / CACHE_TTL_CURRENT_YEAR_SECONDS
+export const CLOSED_YEAR_TTL_MS = parseSeconds(process.env.CACHE_TTL_CLOSED_YEAR_SECONDS, 30 * 24 * 60 * 60) * 1000;
+export const CURRENT_YEAR_TTL_MS = parseSeconds(process.env.CACHE_TTL_CURRENT_YEAR_SECONDS, 5 * 60) * 1000;
+
+// Precomputed results for a year that was still open when they were computed
+// are only served this long (PRECOMPUTED_MAX_AGE_SECONDS), since purchases keep coming in
+export const PRECOMPUTED_MAX_AGE_MS = parseSeconds(process.env.PRECOMPUTED_MAX_AGE_SECONDS, 24 * 60 * 60) * 1000;
+
+const hash = (value) => createHash('sha1').update(value).digest('hex');
+
+/**
+ * JSON.stringify with sorted keys, so equal options produce equal keys
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * TTL for a year's results
+ * @param {number} year - Wrapped year
+ * @param {Date} now - Current time
+ * @returns {number} TTL in milliseconds
+ */
+export function ttlForYear(year, now = new Date()) {
+  return year < now.getFullYear() ? CLOSED_YEAR_TTL_MS : CURRENT_YEAR_TTL_MS;
+}
+
+/**
+ * ETag for a response body
+ * @param {Object} data - WrappedData object
+ * @returns {string} Quoted strong ETag
+ */
+export function computeETag(data) {
+  return `"${hash(JSON.stringify(data))}"`;
+}
+
+/**
+ * When a profile's cached results were last invalidated
+ * @param {Object} supabase - Client that can read INVALIDATIONS_TABLE
+ * @param {number|string} profileId - Profile ID
+ * @returns {Promise<number>} Milliseconds since the epoch, or 0 if never
+ * @throws {UpstreamError} When the query fails
+ */
+export async function loadInvalidation(supabase, profileId) {
+  const { data, error } = await supabase
+    .from(INVALIDATIONS_TABLE)
+    .select('invalidated_at')
+    .eq('profile_id', profileId)
+    .maybeSingle();
+
+  if (error) {
+    throw new UpstreamError('Failed to fetch cache invalidation', error);
+  }
+  return data ? new Date(data.invalidated_at).getTime() : 0;
+}
+
+// Precomputed results use default timing, streak, score and activity options in the profile's timezone and currency
+const usesDefaultOptions = (options) => !options.streakPeriod
+  && !options.santaWeights
+  && !options.timeZone
+  && !options.currency
+  && Object.values(options.timing || {}).every(value => value === undefined)
+  && Object.values(options.activity || {}).every(value => value === undefined);
+
+/**
+ * Precomputed result for a request, if one applies
+ * @returns {Promise<Object|null>} WrappedData object, or null to calculate live
+ */
+async function findPrecomputed(supabase, profileId, year, version, options, log) {
+  if (options.precomputed === false || options.clientRole !== 'owner' || !usesDefaultOptions(options)) return null;
+
+  try {
+    const stored = await loadPrecomputed(supabase, profileId, year);
+    // The version is the invalidation time, so older results are stale
+    if (!stored || stored.computedAt.getTime() <= version) return null;
+
+    const { yearEnd } = zonedYearRange(year, stored.data.timeZone || 'UTC');
+    const ageMs = (options.now || new Date()).getTime() - stored.computedAt.getTime();
+    if (stored.computedAt < yearEnd && ageMs > PRECOMPUTED_MAX_AGE_MS) {
+      log.info('Precomputed result is stale', { computedAt: stored.computedAt });
+      return null;
+    }
+    return stored.data;
+  } catch (error) {
+    log.error('Error loading precomputed result', { error });
+    return null;
+  }
+}
+
+/**
+ * Get wrapped data from the cache, calculating and storing it on a miss
+ * @param {import('./cache.js').CacheStore} cache - Cache store
+ * @param {Object} supabase - Supabase client instance
+ * @param {number|string} profileId - Profile ID
+ * @param {number} year - Wrapped year
+ * @param {Object} options - calculatePatientData options (part of the cache key)
+ * @param {string} options.clientRole - Who `supabase` queries as: 'owner' (default, row-level security applies)
+ *   or 'share' (a client that can read the profile on its owner's behalf); precomputed results,
+ *   calculated as the owner, are only served to 'owner'
+ * @param {boolean} options.precomputed - Set to false to skip precomputed results
+ * @param {Object} options.invalidationClient - Client that reads INVALIDATIONS_TABLE (defaults to supabase)
+ * @param {Object} options.logger - Logger for this request (defaults to the process logger)
+ * @returns {Promise<{ data: Object, etag: string, cached: boolean, precomputed: boolean }>}
+ */
+export async function getWrappedData(cache, supabase, profileId, year, options = {}) {
+  // Clients and loggers don't change the result, so keep them out of the key
+  const { populationClient, invalidationClient, logger, clientRole = 'owner', ...keyOptions } = options;
+  const log = (logger || defaultLogger).child({ profileId: String(profileId), year });
+
+  // Without the version, cached and precomputed results might be stale, so calculate live
+  let version;
+  try {
+    version = await loadInvalidation(invalidationClient || supabase, profileId);
+  } catch (error) {
+    log.error('Error loading cache invalidation', { error });
+    const data = await calculatePatientData(supabase, profileId, year, options);
+    return { data, etag: computeETag(data), cached: false, precomputed: false };
+  }
+
+  const key = `wrapped:${profileId}:${version}:${year}:${clientRole}:${hash(stableStringify(keyOptions))}`;
+
+  const entry = await cache.get(key);
+  if (entry) {
+    log.info('Cache hit');
+    return { ...entry, cached: true };
+  }
+
+  log.info('Cache miss');
+  const precomputed = await findPrecomputed(supabase, profileId, year, version, { ...keyOptions, clientRole }, log);
+  if (precomputed) {
+    log.info('Using precomputed result');
+  }
+  const data = precomputed || await calculatePatientData(supabase, profileId, year, options);
+  const fresh = { data, etag: computeETag(data), precomputed: Boolean(precomputed) };
+  // Degraded results are only kept briefly, so the next request can fill the gaps
+  const ttl = data.warnings?.length > 0 ? Math.min(ttlForYear(year), CURRENT_YEAR_TTL_MS) : ttlForYear(year);
+  await cache.set(key, fresh, ttl);
+
+  return { ...fresh, cached: false };
+}
+
+/**
+ * Drop every cached result for a profile, on every instance
+ * @param {Object} supabase - Client that can write INVALIDATIONS_TABLE (e.g. the service role client)
+ * @param {number|string} profileId - Profile ID
+ * @param {Object} logger - Logger for this request (defaults to the process logger)
+ * @returns {Promise<void>}
+ * @throws {UpstreamError} When the write fails
+ */
+export async function invalidateProfile(supabase, profileId, logger = defaultLogger) {
+  const { error } = await supabase
+    .from(INVALIDATIONS_TABLE)
+    .upsert({ profile_id: profileId, invalidated_at: new Date().toISOString() }, { onConflict: 'profile_id' });
+
+  if (error) {
+    throw new UpstreamError('Failed to invalidate cached wrapped data', error);
+  }
+  logger.info('Invalidated cached wrapped data', { profileId: String(profileId) });
+}
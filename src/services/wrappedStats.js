@@ -0,0 +1,352 @@
+/**
+ * Wrapped statistics
+ * Pure functions that compute the WrappedData result from a dataset
+ * loaded by loadWrappedDataset. Nothing in here talks to Supabase.
+ */
+
+import { classifyPersonality } from './personality.js';
+import { summarizeRetailers } from './retailers.js';
+import { summarizeCategories } from './categories.js';
+import { summarizeHomemade } from './homemade.js';
+import { resolveTimingOptions, summarizePurchaseTiming, lastMinuteUsesEventDates, DEFAULT_TIMING_OPTIONS } from './purchaseTiming.js';
+import { calculateStreaks, STREAK_PERIODS, DEFAULT_STREAK_PERIOD } from './streaks.js';
+import { santaMetrics, calculateSantaScore, hasSantaDistributions } from './santaScore.js';
+import { zonedDateKey } from './timezone.js';
+import { summarizeActivity } from './activity.js';
+import { convertItemPrices, isSupportedCurrency, BASE_CURRENCY, DEFAULT_CURRENCY } from './currency.js';
+import { rankAgainstCommunity } from './percentiles.js';
+
+// Number of exchange partners returned for the "gifting circle"
+const TOP_EXCHANGE_PARTNERS = 5;
+
+const inYear = (timestamp, { yearStart, yearEnd }) => {
+  if (!timestamp) return false;
+  const date = new Date(timestamp);
+  return date >= yearStart && date <= yearEnd;
+};
+
+const isSameProfile = (a, b) => String(a) === String(b);
+
+/**
+ * Display name for a profile ID, matching how suggester names are shown
+ * @param {Object} profilesById - profile.id -> profile row
+ * @param {number|string} id - Profile ID
+ * @returns {string} "First Last" or 'Unknown'
+ */
+export function profileName(profilesById, id) {
+  const profile = profilesById[id];
+  return profile ? `${profile.first_name} ${profile.last_name}` : 'Unknown';
+}
+
+/**
+ * Items this profile bought during the year
+ * @param {Object} dataset - Dataset from loadWrappedDataset
+ * @returns {Array} list_item rows
+ */
+export function selectPurchasedItems(dataset) {
+  return dataset.listItems.filter(item => {
+    const purchase = dataset.purchasesById[item.purchase_id];
+    return purchase
+      && isSameProfile(purchase.purchase_user, dataset.profileId)
+      && inYear(purchase.created_at, dataset);
+  });
+}
+
+/**
+ * Gift count, spend and most expensive gift
+ * @param {Array} items - Purchased list_item rows
+ * @returns {{ totalGiftsGiven: number, totalSpending: number, mostExpensiveGift: Object }}
+ */
+export function summarizeGiving(items) {
+  const totalSpending = Math.round(items.reduce((sum, item) => sum + (parseFloat(item.price) || 0), 0) * 100) / 100;
+
+  const mostExpensiveItem = items.length > 0
+    ? items.reduce((max, item) => ((parseFloat(item.price) || 0) > (parseFloat(max.price) || 0) ? item : max), items[0])
+    : null;
+
+  return {
+    totalGiftsGiven: items.length,
+    totalSpending,
+    mostExpensiveGift: {
+      title: mostExpensiveItem?.title || '',
+      price: mostExpensiveItem ? parseFloat(mostExpensiveItem.price) || 0 : 0,
+      thumbnail_url: mostExpensiveItem?.thumbnail_url || null,
+    },
+  };
+}
+
+/**
+ * List statistics for the lists this profile owns
+ * @param {Object} dataset - Dataset from loadWrappedDataset
+ * @returns {Object} listStats block
+ */
+export function summarizeLists(dataset) {
+  const ownListIds = new Set(dataset.ownLists.map(list => String(list.id)));
+  const ownListItems = dataset.listItems.filter(item => ownListIds.has(String(item.list_id)));
+
+  // Lists created this year, and which of them holds the most items
+  const listsThisYear = dataset.ownLists.filter(list => inYear(list.created_at, dataset));
+  const listItemCounts = {};
+  ownListItems.forEach(item => {
+    listItemCounts[item.list_id] = (listItemCounts[item.list_id] || 0) + 1;
+  });
+
+  let listWithMostItems = null;
+  listsThisYear.forEach(list => {
+    const count = listItemCounts[list.id] || 0;
+    if (count > (listWithMostItems?.itemCount || 0)) {
+      listWithMostItems = { name: list.name || 'Unnamed List', itemCount: count };
+    }
+  });
+
+  // Day this profile added the most items to their own lists (suggestions excluded), on their calendar
+  const addedThisYear = ownListItems
+    .filter(item => !item.suggested_by && inYear(item.created_at, dataset))
+    .sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+  const itemsByDate = {};
+  addedThisYear.forEach(item => {
+    const dateKey = zonedDateKey(item.created_at, dataset.timeZone); // YYYY-MM-DD
+    itemsByDate[dateKey] = itemsByDate[dateKey] || [];
+    itemsByDate[dateKey].push(item);
+  });
+
+  let mostActiveDay = null;
+  Object.entries(itemsByDate).forEach(([date, items]) => {
+    if (items.length > (mostActiveDay?.itemCount || 0)) {
+      mostActiveDay = {
+        date,
+        datetime: items[0].created_at,
+        itemCount: items.length,
+        items: items.map(item => ({
+          id: item.id,
+          title: item.title,
+          price: item.price,
+          link: item.link,
+          thumbnail_url: item.thumbnail_url,
+          created_at: item.created_at,
+          suggested_by: item.suggested_by,
+        })),
+      };
+    }
+  });
+
+  // Who suggested the most gifts for this profile
+  const suggestedCounts = {};
+  ownListItems
+    .filter(item => item.suggested_by && inYear(item.created_at, dataset))
+    .forEach(item => {
+      suggestedCounts[item.suggested_by] = (suggestedCounts[item.suggested_by] || 0) + 1;
+    });
+
+  const suggestedGiftCounts = Object.entries(suggestedCounts)
+    .map(([suggested_by, count]) => ({
+      suggested_by: parseInt(suggested_by),
+      count,
+      name: profileName(dataset.profilesById, suggested_by),
+    }))
+    .sort((a, b) => b.count - a.count);
+
+  return {
+    totalListsCreated: listsThisYear.length,
+    listWithMostItems,
+    mostActiveDay,
+    suggestedGiftCounts,
+  };
+}
+
+/**
+ * Gifts received, people exchanged with and the top exchange partners
+ * @param {Object} dataset - Dataset from loadWrappedDataset
+ * @param {Array} purchasedItems - Items this profile bought during the year
+ * @returns {{ totalGiftsReceived: number, peopleExchangedWith: number, exchangePartners: Array }}
+ */
+export function summarizeExchange(dataset, purchasedItems) {
+  // partnerId -> { given, received }
+  const exchangeCounts = {};
+  const countFor = (partnerId) => {
+    exchangeCounts[partnerId] = exchangeCounts[partnerId] || { given: 0, received: 0 };
+    return exchangeCounts[partnerId];
+  };
+
+  // Gifts given: owners of the lists the purchased items came from
+  purchasedItems.forEach(item => {
+    const ownerId = dataset.listsById[item.list_id]?.owner_user_id;
+    if (ownerId && !isSameProfile(ownerId, dataset.profileId)) {
+      countFor(ownerId).given++;
+    }
+  });
+
+  // Gifts received: items on this profile's lists bought by someone else in the year
+  const ownListIds = new Set(dataset.ownLists.map(list => String(list.id)));
+  let totalGiftsReceived = 0;
+  dataset.listItems
+    .filter(item => ownListIds.has(String(item.list_id)) && item.purchase_id)
+    .forEach(item => {
+      const purchase = dataset.purchasesById[item.purchase_id];
+      if (purchase && !isSameProfile(purchase.purchase_user, dataset.profileId) && inYear(purchase.created_at, dataset)) {
+        totalGiftsReceived++;
+        countFor(purchase.purchase_user).received++;
+      }
+    });
+
+  const exchangePartners = Object.entries(exchangeCounts)
+    .map(([profile_id, counts]) => ({
+      profile_id: parseInt(profile_id),
+      given: counts.given,
+      received: counts.received,
+      total: counts.given + counts.received,
+      name: profileName(dataset.profilesById, profile_id),
+    }))
+    .sort((a, b) => b.total - a.total)
+    .slice(0, TOP_EXCHANGE_PARTNERS);
+
+  return {
+    totalGiftsReceived,
+    peopleExchangedWith: Object.keys(exchangeCounts).length,
+    exchangePartners,
+  };
+}
+
+/**
+ * The people this profile bought for, and how well they matched their lists
+ * An item is from the recipient's wishlist when nobody suggested it, as
+ * for the santa score's thoughtfulness; suggested items are broken down by
+ * suggester, named like suggestedGiftCounts.
+ * @param {Object} dataset - Dataset from loadWrappedDataset
+ * @param {Array} purchasedItems - Items this profile bought during the year (prices in the display currency)
+ * @returns {Array<{ profile_id: number, name: string, items: number, spend: number, fromWishlist: number, suggested: number, wishlistHitRate: number, suggestedBy: Array }>}
+ *   Most items first; wishlistHitRate is fromWishlist / items (0-1)
+ */
+export function summarizeRecipients(dataset, purchasedItems) {
+  const byRecipient = {};
+  purchasedItems.forEach(item => {
+    const ownerId = dataset.listsById[item.list_id]?.owner_user_id;
+    if (!ownerId || isSameProfile(ownerId, dataset.profileId)) return;
+
+    byRecipient[ownerId] = byRecipient[ownerId] || { items: 0, spend: 0, fromWishlist: 0, suggestedCounts: {} };
+    const recipient = byRecipient[ownerId];
+    recipient.items++;
+    recipient.spend += parseFloat(item.price) || 0;
+    if (item.suggested_by) {
+      recipient.suggestedCounts[item.suggested_by] = (recipient.suggestedCounts[item.suggested_by] || 0) + 1;
+    } else {
+      recipient.fromWishlist++;
+    }
+  });
+
+  return Object.entries(byRecipient)
+    .map(([profile_id, { items, spend, fromWishlist, suggestedCounts }]) => ({
+      profile_id: parseInt(profile_id),
+      name: profileName(dataset.profilesById, profile_id),
+      items,
+      spend: Math.round(spend * 100) / 100,
+      fromWishlist,
+      suggested: items - fromWishlist,
+      wishlistHitRate: Math.round((fromWishlist / items) * 100) / 100,
+      suggestedBy: Object.entries(suggestedCounts)
+        .map(([suggested_by, count]) => ({
+          suggested_by: parseInt(suggested_by),
+          count,
+          name: profileName(dataset.profilesById, suggested_by),
+        }))
+        .sort((a, b) => b.count - a.count || a.suggested_by - b.suggested_by),
+    }))
+    .sort((a, b) => b.items - a.items || b.spend - a.spend || a.profile_id - b.profile_id);
+}
+
+/**
+ * Build the WrappedData result for a dataset
+ * @param {Object} dataset - Dataset from loadWrappedDataset
+ * @param {Object} options - Calculation options (see calculatePatientData)
+ * @param {Object|null} communityAggregate - Stored community aggregate for the year, or null if none
+ * @returns {Object} WrappedData object
+ */
+export function buildWrappedData(dataset, options = {}, communityAggregate = null) {
+  // Prices in the display currency (requested, else the profile's), and in
+  // BASE_CURRENCY for everything compared with other profiles
+  const profileCurrency = isSupportedCurrency(dataset.profile?.currency) ? dataset.profile.currency.toUpperCase() : DEFAULT_CURRENCY;
+  const currency = isSupportedCurrency(options.currency) ? options.currency.toUpperCase() : profileCurrency;
+  const rawItems = selectPurchasedItems(dataset);
+  const conversion = { purchasesById: dataset.purchasesById, fallbackCurrency: profileCurrency };
+  const display = convertItemPrices(rawItems, { ...conversion, currency });
+  const baseItems = convertItemPrices(rawItems, { ...conversion, currency: BASE_CURRENCY }).items;
+
+  const purchasedItems = display.items;
+  const giving = summarizeGiving(purchasedItems);
+  const { mostUsedRetailer, retailerBreakdown } = summarizeRetailers(purchasedItems);
+  const { mostPopularCategory, categoryBreakdown } = summarizeCategories(purchasedItems);
+  const homemade = summarizeHomemade(purchasedItems, options.homemadeSignals);
+
+  // Purchase timing relative to each item's target date
+  const timingOptions = resolveTimingOptions({ ...options.timing, timeZone: dataset.timeZone });
+  const purchaseTiming = summarizePurchaseTiming(purchasedItems, dataset.purchasesById, dataset.listsById, dataset.profilesById, timingOptions);
+
+  // Gift-giving streak across the profile's whole purchase history
+  const streakPeriod = STREAK_PERIODS.includes(options.streakPeriod) ? options.streakPeriod : DEFAULT_STREAK_PERIOD;
+  const streak = calculateStreaks(dataset.purchases.map(purchase => purchase.created_at), streakPeriod, dataset.historyEnd, dataset.timeZone);
+
+  const exchange = summarizeExchange(dataset, purchasedItems);
+  const listStats = summarizeLists(dataset);
+
+  // Santa score uses the default (Christmas, UTC) timing, like the community
+  // distributions it is ranked against, so scores are comparable between users
+  const santaTiming = summarizePurchaseTiming(purchasedItems, dataset.purchasesById, dataset.listsById, {}, DEFAULT_TIMING_OPTIONS);
+  const santaScoreBreakdown = hasSantaDistributions(communityAggregate)
+    ? calculateSantaScore(santaMetrics(baseItems, dataset.listsById, santaTiming, dataset.profileId), communityAggregate, options.santaWeights)
+    : null;
+
+  const stats = {
+    currency, // currency totalSpending, mostExpensiveGift and breakdown spend are in
+    totalGiftsGiven: giving.totalGiftsGiven,
+    totalGiftsReceived: exchange.totalGiftsReceived, // items on this profile's lists bought by others
+    mostExpensiveGift: giving.mostExpensiveGift,
+    totalSpending: giving.totalSpending,
+    peopleExchangedWith: exchange.peopleExchangedWith, // distinct profiles bought for or bought by
+    mostPopularCategory, // top category, see categoryBreakdown
+    giftGivingStreak: streak.longest, // longest run of consecutive periods with a purchase
+    santaScore: santaScoreBreakdown?.total || 0, // 0-100 composite, see santaScoreBreakdown
+    lastMinutePurchases: purchaseTiming.lastMinute, // items in the lastMinute timing bucket
+    mostUsedRetailer, // most common retailer parsed from list_item.link
+    homemadeGifts: homemade.count, // see homemadeGiftItems for which items and why
+    purchaseTiming, // always sums to totalGiftsGiven
+  };
+
+  // Personality reasons name the day last-minute gifts were for
+  const eventDates = lastMinuteUsesEventDates(purchasedItems, dataset.purchasesById, dataset.listsById, dataset.profilesById, timingOptions);
+  const { personalityType, personalityReason } = classifyPersonality(stats, listStats, { ...timingOptions, eventDates });
+
+  return {
+    profileId: parseInt(dataset.profileId),
+    year: dataset.year,
+    // IANA timezone every date above was computed in
+    timeZone: dataset.timeZone,
+    stats,
+    personalityType,
+    personalityReason,
+    listStats,
+    // Gifting circle: top people this profile exchanged gifts with
+    exchangePartners: exchange.exchangePartners,
+    // Everyone this profile bought for, with spend and how many gifts came off their own wishlist
+    recipients: summarizeRecipients(dataset, purchasedItems),
+    // Items added and bought over time and by weekday and hour, for heatmaps
+    activity: summarizeActivity(dataset, purchasedItems, options.activity),
+    // Santa score components so the UI can explain the total
+    santaScoreBreakdown,
+    // Longest and current gift-giving streaks
+    streak,
+    // Per-retailer count and spend, including the Other/Homemade bucket
+    retailerBreakdown,
+    // Per-category count and spend
+    categoryBreakdown,
+    // Items counted as homemade and the signals that flagged them
+    homemadeGiftItems: homemade.items,
+    // Spend per original currency, and the converted total for each
+    currencyBreakdown: display.currencyBreakdown,
+    // Prices that couldn't be parsed or converted (counted as 0)
+    priceIssues: display.priceIssues,
+    // Percentile ranks against the year's gifters (null until the aggregate job has run)
+    percentiles: rankAgainstCommunity({ ...stats, ...summarizeGiving(baseItems) }, communityAggregate),
+    // Sections that degraded because some data couldn't be loaded
+    warnings: dataset.warnings || [],
+  };
+}
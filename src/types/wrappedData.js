@@ -19,6 +19,7 @@
 
 /**
  * @typedef {Object} WrappedStats
+ * @property {string} currency - Currency amounts are shown in
  * @property {number} totalGiftsGiven
  * @property {number} totalGiftsReceived
  * @property {MostExpensiveGift} mostExpensiveGift
@@ -33,13 +34,208 @@
  * @property {PurchaseTiming} purchaseTiming
  */
 
+/**
+ * @typedef {Object} ExchangePartner
+ * @property {number} profile_id
+ * @property {string} [name]
+ * @property {number} given
+ * @property {number} received
+ * @property {number} total
+ */
+
+/**
+ * @typedef {Object} Recipient
+ * @property {number} profile_id
+ * @property {string} name
+ * @property {number} items - Items bought for them this year
+ * @property {number} spend - In stats.currency
+ * @property {number} fromWishlist - Items they added to their own list
+ * @property {number} suggested - Items someone else suggested
+ * @property {number} wishlistHitRate - fromWishlist / items, 0-1
+ * @property {Array<{ suggested_by: number, count: number, name: string }>} suggestedBy
+ */
+
+/**
+ * @typedef {Object} ActivityPeriod
+ * @property {string} start - First day of the period, YYYY-MM-DD
+ * @property {number} added - Items added to the profile's own lists
+ * @property {number} purchased - Items bought
+ */
+
+/**
+ * @typedef {Object} ActivityTimeline
+ * @property {string} resolution - 'days', 'weeks' (from Monday) or 'months'
+ * @property {string} from - First day covered, YYYY-MM-DD
+ * @property {string} to - Last day covered, YYYY-MM-DD
+ * @property {ActivityPeriod[]} series - Every period in the range, empty ones included
+ * @property {{ added: number[][], purchased: number[][] }} weekdayHours - [weekday][hour] counts, weekday 0 = Sunday
+ * @property {ActivityPeriod|null} peakWeek - Week with the most purchases
+ * @property {{ month: string, added: number, purchased: number }|null} quietestMonth - month as YYYY-MM
+ * @property {{ weekday: number, weekdayName: string, partOfDay: string, purchased: number }|null} busiestTime
+ *   partOfDay is 'morning', 'afternoon', 'evening' or 'night'
+ */
+
+/**
+ * @typedef {Object} RetailerBreakdownEntry
+ * @property {string} retailer
+ * @property {number} count
+ * @property {number} spend
+ */
+
+/**
+ * @typedef {Object} GiftingStreak
+ * @property {string} period - 'weeks', 'months' or 'years'
+ * @property {number} longest
+ * @property {string|null} longestStart
+ * @property {number} current
+ * @property {string|null} currentStart
+ */
+
+/**
+ * @typedef {Object} SantaScoreComponent
+ * @property {Object} raw - Unranked values the component is built from
+ * @property {number} percentile - 0-100 rank against the year's gifters
+ * @property {number} weight - Normalised weight
+ * @property {number} points - Contribution to the total
+ */
+
+/**
+ * @typedef {Object} SantaScoreBreakdown
+ * @property {number} total
+ * @property {number} populationSize
+ * @property {{ generosity: SantaScoreComponent, thoughtfulness: SantaScoreComponent, punctuality: SantaScoreComponent, reach: SantaScoreComponent }} components
+ */
+
+/**
+ * @typedef {Object} CategoryBreakdownEntry
+ * @property {string} category
+ * @property {number} count
+ * @property {number} spend
+ */
+
+/**
+ * @typedef {Object} HomemadeGiftItem
+ * @property {number} id
+ * @property {string} title
+ * @property {string[]} signals - Signals that flagged the item
+ */
+
+/**
+ * @typedef {Object} CurrencyBreakdownEntry
+ * @property {string} currency - Original currency
+ * @property {number} count
+ * @property {number} spend - Spend in the original currency
+ * @property {number} convertedSpend - Spend in the display currency
+ */
+
+/**
+ * @typedef {Object} PriceIssues
+ * @property {number} unparseable - Prices that couldn't be read
+ * @property {number} unknownCurrency - Prices in a currency with no rate
+ * @property {Array<{ id: number, title: string, price: string|number, reason: string, currency?: string }>} items
+ */
+
+/**
+ * @typedef {Object} CommunityPercentiles
+ * @property {number} populationSize - Gifters in the community aggregate
+ * @property {string} computedAt - When the aggregate was computed
+ * @property {Object<string, number>} stats - Stat name -> 0-100 rank against the year's gifters
+ */
+
+/**
+ * @typedef {Object} WrappedWarning
+ * @property {string} code - Stable code, e.g. 'SANTA_SCORE_UNAVAILABLE'
+ * @property {string[]} sections - Result paths that are incomplete, e.g. 'stats.santaScore'
+ * @property {string} message
+ */
+
+/**
+ * @typedef {Object} ErrorResponse
+ * @property {string} error - Short summary, e.g. 'Invalid request'
+ * @property {string} code - Stable code, e.g. 'VALIDATION_FAILED' (see ERROR_CODES)
+ * @property {string} message
+ * @property {Array<{ field: string, message: string }>} [details] - Failed fields, for VALIDATION_FAILED
+ * @property {string} [requestId] - The request's X-Request-Id, for finding it in the logs
+ */
+
 /**
  * @typedef {Object} WrappedData
  * @property {number} profileId
  * @property {number} year
+ * @property {string} timeZone - IANA timezone dates were computed in
  * @property {WrappedStats} stats
  * @property {string} personalityType
  * @property {string} personalityReason
+ * @property {ExchangePartner[]} exchangePartners
+ * @property {Recipient[]} recipients - Everyone bought for this year, most items first
+ * @property {ActivityTimeline} activity - Items added and bought over time, in timeZone
+ * @property {SantaScoreBreakdown|null} santaScoreBreakdown
+ * @property {GiftingStreak} streak
+ * @property {RetailerBreakdownEntry[]} retailerBreakdown
+ * @property {CategoryBreakdownEntry[]} categoryBreakdown
+ * @property {HomemadeGiftItem[]} homemadeGiftItems
+ * @property {CurrencyBreakdownEntry[]} currencyBreakdown
+ * @property {PriceIssues} priceIssues
+ * @property {CommunityPercentiles|null} percentiles
+ * @property {WrappedWarning[]} warnings - Sections that degraded; empty when everything loaded
+ */
+
+/**
+ * @typedef {Object} SpendingRange - Amount shown to group members who don't own the profile it belongs to
+ * @property {number} min
+ * @property {number|null} max - null for the top range
+ * @property {string} label - e.g. '$100-$250'
+ */
+
+/**
+ * @typedef {Object} GroupMember
+ * @property {number} profileId
+ * @property {string} name
+ * @property {number} totalGiftsGiven
+ * @property {number} totalGiftsReceived
+ * @property {number|SpendingRange} totalSpending
+ * @property {number|null} santaScore - null for members the caller doesn't own
+ * @property {string|null} personalityType - null for members the caller doesn't own
+ */
+
+/**
+ * @typedef {Object} GroupStats
+ * @property {number} memberCount
+ * @property {number} totalGiftsGiven
+ * @property {number} totalGiftsReceived - Includes gifts between members
+ * @property {number|SpendingRange} totalSpending
+ * @property {number} giftsWithinGroup - Gifts members bought off each other's lists
+ * @property {number} giftsOutsideGroup
+ * @property {number} peopleGiftedOutsideGroup
+ * @property {MostExpensiveGift & { profileId: number|null }} mostExpensiveGift - With the buyer's profile ID; price may be a SpendingRange
+ * @property {string} mostUsedRetailer
+ * @property {{ date: string, itemCount: number }|null} busiestDay
+ * @property {number} lastMinutePurchases
+ * @property {number} homemadeGifts
+ * @property {PurchaseTiming} purchaseTiming
+ */
+
+/**
+ * @typedef {Object} GroupSuperlative
+ * @property {string} key - e.g. 'biggestSpender' (see GROUP_SUPERLATIVES)
+ * @property {string} label
+ * @property {number} profileId - Winning member
+ * @property {string} name
+ * @property {number|SpendingRange|null} value - null for a topSanta win by a member the caller doesn't own
+ */
+
+/**
+ * @typedef {Object} GroupWrappedData
+ * @property {number|null} groupId - Stored group, or null for a list of profiles
+ * @property {number} year
+ * @property {string} timeZone - IANA timezone every member was calculated in
+ * @property {string} currency - Currency every member's amounts are in
+ * @property {GroupMember[]} members
+ * @property {GroupStats} stats
+ * @property {Array<{ from: number, fromName: string, to: number, toName: string, count: number }>} exchanges - Who bought for whom inside the group
+ * @property {RetailerBreakdownEntry[]} retailerBreakdown
+ * @property {GroupSuperlative[]} superlatives
+ * @property {Array<WrappedWarning & { profileId: number }>} warnings
  */
 
 export {};
@@ -16,6 +16,7 @@ export type PurchaseTiming = {
 };
 
 export type WrappedStats = {
+  currency: string;
   totalGiftsGiven: number;
   totalGiftsReceived: number;
   mostExpensiveGift: MostExpensiveGift;
@@ -30,11 +31,249 @@ export type WrappedStats = {
   purchaseTiming: PurchaseTiming;
 };
 
+export type ExchangePartner = {
+  profile_id: number;
+  name?: string;
+  given: number;
+  received: number;
+  total: number;
+};
+
+export type Recipient = {
+  profile_id: number;
+  name: string;
+  items: number;
+  spend: number;
+  fromWishlist: number;
+  suggested: number;
+  wishlistHitRate: number;
+  suggestedBy: { suggested_by: number; count: number; name: string }[];
+};
+
+export type ActivityPeriod = {
+  start: string;
+  added: number;
+  purchased: number;
+};
+
+export type ActivityTimeline = {
+  resolution: 'days' | 'weeks' | 'months';
+  from: string;
+  to: string;
+  series: ActivityPeriod[];
+  // [weekday][hour], weekday 0 = Sunday
+  weekdayHours: { added: number[][]; purchased: number[][] };
+  peakWeek: ActivityPeriod | null;
+  quietestMonth: { month: string; added: number; purchased: number } | null;
+  busiestTime: {
+    weekday: number;
+    weekdayName: string;
+    partOfDay: 'morning' | 'afternoon' | 'evening' | 'night';
+    purchased: number;
+  } | null;
+};
+
+export type RetailerBreakdownEntry = {
+  retailer: string;
+  count: number;
+  spend: number;
+};
+
+export type GiftingStreak = {
+  period: 'weeks' | 'months' | 'years';
+  longest: number;
+  longestStart: string | null;
+  current: number;
+  currentStart: string | null;
+};
+
+export type SantaScoreComponent = {
+  raw: Record<string, number>;
+  percentile: number;
+  weight: number;
+  points: number;
+};
+
+export type SantaScoreBreakdown = {
+  total: number;
+  populationSize: number;
+  components: {
+    generosity: SantaScoreComponent;
+    thoughtfulness: SantaScoreComponent;
+    punctuality: SantaScoreComponent;
+    reach: SantaScoreComponent;
+  };
+};
+
+export type CategoryBreakdownEntry = {
+  category: string;
+  count: number;
+  spend: number;
+};
+
+export type HomemadeGiftItem = {
+  id: number;
+  title: string;
+  signals: Array<'flagColumn' | 'noLink' | 'zeroPrice' | 'keywords'>;
+};
+
+export type CurrencyBreakdownEntry = {
+  currency: string;
+  count: number;
+  spend: number;
+  convertedSpend: number;
+};
+
+export type PriceIssue = {
+  id: number;
+  title: string;
+  price: string | number;
+  reason: 'unparseable' | 'unknownCurrency';
+  currency?: string;
+};
+
+export type PriceIssues = {
+  unparseable: number;
+  unknownCurrency: number;
+  items: PriceIssue[];
+};
+
+export type CommunityPercentiles = {
+  populationSize: number;
+  computedAt: string;
+  stats: Partial<Record<
+    | 'totalGiftsGiven'
+    | 'totalGiftsReceived'
+    | 'totalSpending'
+    | 'mostExpensiveGift'
+    | 'peopleExchangedWith'
+    | 'lastMinutePurchases'
+    | 'homemadeGifts',
+    number
+  >>;
+};
+
+export type WrappedWarning = {
+  code:
+    | 'RECEIVED_GIFTS_UNAVAILABLE'
+    | 'RECIPIENT_LISTS_UNAVAILABLE'
+    | 'SANTA_SCORE_UNAVAILABLE'
+    | 'PERCENTILES_UNAVAILABLE';
+  sections: string[];
+  message: string;
+};
+
+export type ErrorCode =
+  | 'VALIDATION_FAILED'
+  | 'UNAUTHORIZED'
+  | 'FORBIDDEN'
+  | 'NOT_FOUND'
+  | 'PROFILE_NOT_FOUND'
+  | 'SLIDE_NOT_FOUND'
+  | 'COMMUNITY_NOT_FOUND'
+  | 'GROUP_NOT_FOUND'
+  | 'SHARE_NOT_FOUND'
+  | 'SHARE_EXPIRED'
+  | 'SHARE_REVOKED'
+  | 'UPSTREAM_ERROR'
+  | 'NOT_CONFIGURED'
+  | 'INTERNAL_ERROR';
+
+export type ErrorResponse = {
+  error: string;
+  code: ErrorCode;
+  message: string;
+  details?: { field: string; message: string }[];
+  requestId?: string;
+};
+
 export type WrappedData = {
   profileId: number;
   year: number;
+  timeZone: string;
   stats: WrappedStats;
   personalityType: string;
   personalityReason: string;
+  exchangePartners: ExchangePartner[];
+  recipients: Recipient[];
+  activity: ActivityTimeline;
+  santaScoreBreakdown: SantaScoreBreakdown | null;
+  streak: GiftingStreak;
+  retailerBreakdown: RetailerBreakdownEntry[];
+  categoryBreakdown: CategoryBreakdownEntry[];
+  homemadeGiftItems: HomemadeGiftItem[];
+  currencyBreakdown: CurrencyBreakdownEntry[];
+  priceIssues: PriceIssues;
+  percentiles: CommunityPercentiles | null;
+  warnings: WrappedWarning[];
+};
+
+// Amount shown to group members who don't own the profile it belongs to
+export type SpendingRange = {
+  min: number;
+  max: number | null;
+  label: string;
+};
+
+export type GroupMember = {
+  profileId: number;
+  name: string;
+  totalGiftsGiven: number;
+  totalGiftsReceived: number;
+  totalSpending: number | SpendingRange;
+  // null for members the caller doesn't own
+  santaScore: number | null;
+  personalityType: string | null;
+};
+
+export type GroupStats = {
+  memberCount: number;
+  totalGiftsGiven: number;
+  totalGiftsReceived: number;
+  totalSpending: number | SpendingRange;
+  giftsWithinGroup: number;
+  giftsOutsideGroup: number;
+  peopleGiftedOutsideGroup: number;
+  mostExpensiveGift: Omit<MostExpensiveGift, 'price'> & { price: number | SpendingRange; profileId: number | null };
+  mostUsedRetailer: string;
+  busiestDay: { date: string; itemCount: number } | null;
+  lastMinutePurchases: number;
+  homemadeGifts: number;
+  purchaseTiming: PurchaseTiming;
 };
 
+export type GroupExchange = {
+  from: number;
+  fromName: string;
+  to: number;
+  toName: string;
+  count: number;
+};
+
+export type GroupSuperlative = {
+  key:
+    | 'biggestSpender'
+    | 'mostGenerous'
+    | 'earliestShopper'
+    | 'lastMinuteHero'
+    | 'mostSpoiled'
+    | 'craftiest'
+    | 'topSanta';
+  label: string;
+  profileId: number;
+  name: string;
+  value: number | SpendingRange | null;
+};
+
+export type GroupWrappedData = {
+  groupId: number | null;
+  year: number;
+  timeZone: string;
+  currency: string;
+  members: GroupMember[];
+  stats: GroupStats;
+  exchanges: GroupExchange[];
+  retailerBreakdown: RetailerBreakdownEntry[];
+  superlatives: GroupSuperlative[];
+  warnings: (WrappedWarning & { profileId: number })[];
+};
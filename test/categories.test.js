@@ -0,0 +1,74 @@
+/**
+ * Category classifier tests
+ * Runs classifyCategory against the shipped dictionary, and against a
+ * small one where ties and fallbacks are easy to see.
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { classifyCategory, summarizeCategories, OTHER_CATEGORY } from '../src/services/categories.js';
+
+// Two categories sharing a keyword, so ties go to the first
+const DICTIONARY = {
+  games: { label: 'Games', keywords: ['game', 'puzzle'], retailers: ['LEGO'] },
+  kitchen: { label: 'Kitchen', keywords: ['mug', 'game', 'tea set'], retailers: ['IKEA'] },
+};
+
+describe('classifyCategory', () => {
+  test('uses the category column when it is set', () => {
+    assert.equal(classifyCategory({ title: 'Paperback novel', category: ' Stationery ' }), 'Stationery');
+  });
+
+  test('ignores a blank category column', () => {
+    assert.equal(classifyCategory({ title: 'Paperback novel', category: '  ' }), 'Books');
+  });
+
+  test('matches whole-word keywords in the title, case-insensitively', () => {
+    assert.equal(classifyCategory({ title: 'Wireless HEADPHONES' }), 'Tech');
+    assert.equal(classifyCategory({ title: 'Hand-knitted Scarf' }), 'Clothing & Accessories');
+    // "hat" inside "that" isn't a hit
+    assert.equal(classifyCategory({ title: 'That thing you wanted' }, DICTIONARY), OTHER_CATEGORY);
+  });
+
+  test('matches multi-word keywords', () => {
+    assert.equal(classifyCategory({ title: 'Porcelain tea set' }, DICTIONARY), 'Kitchen');
+  });
+
+  test('prefers the category with the most keyword hits', () => {
+    assert.equal(classifyCategory({ title: 'Game night mug' }, DICTIONARY), 'Kitchen');
+  });
+
+  test('gives ties to the category listed first', () => {
+    assert.equal(classifyCategory({ title: 'Party game' }, DICTIONARY), 'Games');
+  });
+
+  test('falls back to the retailer when no keyword matches', () => {
+    assert.equal(classifyCategory({ title: 'Something nice', link: 'https://www.ikea.com/us/en/p/1' }, DICTIONARY), 'Kitchen');
+    assert.equal(classifyCategory({ title: 'A gift', link: 'https://www.bestbuy.com/site/1' }), 'Tech');
+  });
+
+  test('prefers title keywords over the retailer', () => {
+    assert.equal(classifyCategory({ title: 'Jigsaw puzzle', link: 'https://www.ikea.com/p/2' }, DICTIONARY), 'Games');
+  });
+
+  test('returns Other when nothing matches', () => {
+    assert.equal(classifyCategory({ title: 'Mystery box', link: 'https://unknown-shop.example/1' }), OTHER_CATEGORY);
+    assert.equal(classifyCategory({}), OTHER_CATEGORY);
+  });
+});
+
+describe('summarizeCategories', () => {
+  test('never names Other as the most popular category', () => {
+    const { mostPopularCategory, categoryBreakdown } = summarizeCategories([
+      { title: 'Mystery box', price: '5' },
+      { title: 'Surprise', price: '7' },
+      { title: 'Board game', price: '20' },
+    ], DICTIONARY);
+
+    assert.equal(mostPopularCategory, 'Games');
+    assert.deepEqual(categoryBreakdown, [
+      { category: OTHER_CATEGORY, count: 2, spend: 12 },
+      { category: 'Games', count: 1, spend: 20 },
+    ]);
+  });
+});
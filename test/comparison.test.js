@@ -0,0 +1,51 @@
+/**
+ * Year-over-year comparison tests
+ * Lou bought for Fran at Amazon in 2022, for Cam in 2023 and for both in
+ * 2024, so only the 2024 Target purchase is new when comparing 2023-2024.
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { compareYears } from '../src/services/comparison.js';
+import { createFakeSupabase } from './support/fakeSupabase.js';
+import { logger } from './support/logging.js';
+
+const supabase = createFakeSupabase({
+  profiles: [
+    { id: 1, user_id: 'user-lou', first_name: 'Lou', last_name: 'Buyer', timezone: 'UTC', currency: 'USD' },
+    { id: 2, user_id: 'user-fran', first_name: 'Fran', last_name: 'Friend', timezone: 'UTC', currency: 'USD' },
+    { id: 3, user_id: 'user-cam', first_name: 'Cam', last_name: 'Cousin', timezone: 'UTC', currency: 'USD' },
+  ],
+  purchase: [
+    { id: 100, purchase_user: 1, created_at: '2022-12-01T12:00:00Z' },
+    { id: 101, purchase_user: 1, created_at: '2023-12-01T12:00:00Z' },
+    { id: 102, purchase_user: 1, created_at: '2024-12-01T12:00:00Z' },
+  ],
+  list: [
+    { id: 20, owner_user_id: 2, name: 'Fran\'s list', created_at: '2022-01-01T12:00:00Z', event_date: null },
+    { id: 30, owner_user_id: 3, name: 'Cam\'s list', created_at: '2022-01-01T12:00:00Z', event_date: null },
+  ],
+  list_item: [
+    { id: 1000, list_id: 20, purchase_id: 100, title: 'Book', price: '15', link: 'https://www.amazon.com/dp/BOOK', created_at: '2022-01-02T12:00:00Z' },
+    { id: 1001, list_id: 30, purchase_id: 101, title: 'Mug', price: '10', link: 'https://www.amazon.com/dp/MUG', created_at: '2023-01-02T12:00:00Z' },
+    { id: 1002, list_id: 20, purchase_id: 102, title: 'Lamp', price: '40', link: 'https://www.amazon.com/dp/LAMP', created_at: '2024-01-02T12:00:00Z' },
+    { id: 1003, list_id: 30, purchase_id: 102, title: 'Towel', price: '20', link: 'https://www.target.com/p/towel', created_at: '2024-01-02T12:00:00Z' },
+  ],
+});
+
+describe('compareYears', () => {
+  test('counts recipients and retailers from before the range as seen', async () => {
+    const { changes } = await compareYears(supabase, 1, 2023, 2024, { now: new Date('2025-01-15T00:00:00Z'), logger });
+
+    assert.deepEqual(changes.map(change => [change.from, change.to]), [[2023, 2024]]);
+    assert.deepEqual(changes[0].newRecipients, []);
+    assert.deepEqual(changes[0].newRetailers, ['Target']);
+  });
+
+  test('still reports recipients first bought for inside the range', async () => {
+    const { changes } = await compareYears(supabase, 1, 2022, 2024, { now: new Date('2025-01-15T00:00:00Z'), logger });
+
+    assert.deepEqual(changes[0].newRecipients, [{ profile_id: 3, name: 'Cam Cousin' }]);
+    assert.deepEqual(changes[1].newRecipients, []);
+  });
+});
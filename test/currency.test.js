@@ -0,0 +1,130 @@
+/**
+ * Currency tests
+ * Prices as people type them, and conversion with a small rate table so
+ * the expected amounts are easy to check by hand.
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parsePrice, ratesOn, convertAmount, convertItemPrices, isSupportedCurrency } from '../src/services/currency.js';
+import { summarizeHomemade } from '../src/services/homemade.js';
+
+const RATES = {
+  base: 'USD',
+  rates: {
+    '2024-01-01': { USD: 1, EUR: 0.5 },
+    '2024-07-01': { USD: 1, EUR: 0.8 },
+  },
+};
+
+describe('parsePrice', () => {
+  const cases = [
+    { price: '19.99', amount: 19.99 },
+    { price: 42, amount: 42 },
+    { price: '$20', amount: 20 },
+    { price: '€ 12.50', amount: 12.5 },
+    { price: '£7', amount: 7 },
+    { price: '15 EUR', amount: 15, currency: 'EUR' },
+    { price: 'gbp 9.50', amount: 9.5, currency: 'GBP' },
+    { price: '1,299.00', amount: 1299 },
+    { price: '1,299,000', amount: 1299000 },
+    { price: '1.299,00', amount: 1299 },
+    { price: '1.299,00 €', amount: 1299 },
+    { price: '12,50', amount: 12.5 },
+    { price: '12,50 EUR', amount: 12.5, currency: 'EUR' },
+    { price: '.5', amount: 0.5 },
+  ];
+
+  cases.forEach(({ price, amount, currency = null }) => {
+    test(`reads ${JSON.stringify(price)}`, () => {
+      assert.deepEqual(parsePrice(price), { amount, status: 'ok', currency });
+    });
+  });
+
+  test('reads a lone comma or dot before three digits the way the currency writes numbers', () => {
+    assert.equal(parsePrice('1,299').amount, 1299);
+    assert.equal(parsePrice('1,299', { currency: 'USD' }).amount, 1299);
+    assert.equal(parsePrice('1,299', { currency: 'EUR' }).amount, 1.299);
+    assert.equal(parsePrice('1,299 EUR').amount, 1.299);
+    assert.equal(parsePrice('1.299', { currency: 'EUR' }).amount, 1299);
+    assert.equal(parsePrice('1.299').amount, 1.299);
+  });
+
+  test('reports missing and unparseable prices', () => {
+    assert.equal(parsePrice(null).status, 'missing');
+    assert.equal(parsePrice('  ').status, 'missing');
+    ['about 20', '12.', '1,2,3', '1.2.3', '-5', 'free'].forEach(price => {
+      assert.deepEqual(parsePrice(price), { amount: 0, status: 'unparseable', currency: null }, price);
+    });
+  });
+});
+
+describe('ratesOn', () => {
+  test('uses the latest rates on or before the date', () => {
+    assert.equal(ratesOn(new Date('2024-06-30T12:00:00Z'), RATES).EUR, 0.5);
+    assert.equal(ratesOn(new Date('2024-07-01T00:00:00Z'), RATES).EUR, 0.8);
+  });
+
+  test('uses the first rates for dates before them, and the latest without a date', () => {
+    assert.equal(ratesOn(new Date('2020-01-01T00:00:00Z'), RATES).EUR, 0.5);
+    assert.equal(ratesOn(null, RATES).EUR, 0.8);
+  });
+});
+
+describe('convertAmount', () => {
+  test('converts through the base currency on the date', () => {
+    assert.equal(convertAmount(10, 'EUR', 'USD', new Date('2024-03-01T00:00:00Z'), RATES), 20);
+    assert.equal(convertAmount(10, 'USD', 'EUR', new Date('2024-08-01T00:00:00Z'), RATES), 8);
+  });
+
+  test('returns null for a currency without a rate', () => {
+    assert.equal(convertAmount(10, 'XYZ', 'USD', null, RATES), null);
+  });
+});
+
+describe('convertItemPrices', () => {
+  const purchasesById = { 1: { id: 1, created_at: '2024-03-01T00:00:00Z' } };
+
+  test('converts each item with its own or the fallback currency', () => {
+    const { items, currencyBreakdown } = convertItemPrices([
+      { id: 1, purchase_id: 1, price: '12,50', currency: 'EUR' },
+      { id: 2, purchase_id: 1, price: '5' },
+    ], { currency: 'USD', purchasesById, fallbackCurrency: 'EUR', rates: RATES });
+
+    assert.deepEqual(items.map(item => [item.price, item.currency]), [[25, 'EUR'], [10, 'EUR']]);
+    assert.deepEqual(currencyBreakdown, [{ currency: 'EUR', count: 2, spend: 17.5, convertedSpend: 35 }]);
+  });
+
+  test('counts unknown currencies and unparseable prices as 0 and reports them', () => {
+    const { items, priceIssues } = convertItemPrices([
+      { id: 1, purchase_id: 1, title: 'Mystery', price: '10 XYZ' },
+      { id: 2, purchase_id: 1, title: 'Vague', price: 'about 20' },
+      { id: 3, purchase_id: 1, title: 'Homemade', price: null },
+    ], { currency: 'USD', purchasesById, fallbackCurrency: 'USD', rates: RATES });
+
+    assert.deepEqual(items.map(item => item.price), [0, 0, null]);
+    assert.deepEqual(priceIssues, {
+      unparseable: 1,
+      unknownCurrency: 1,
+      items: [
+        { id: 1, title: 'Mystery', price: '10 XYZ', reason: 'unknownCurrency', currency: 'XYZ' },
+        { id: 2, title: 'Vague', price: 'about 20', reason: 'unparseable' },
+      ],
+    });
+  });
+
+  test('does not treat prices it couldn\'t read or convert as free', () => {
+    const { items } = convertItemPrices([
+      { id: 1, purchase_id: 1, title: 'Lamp', link: 'https://shop.example/lamp', price: '1299 XYZ' },
+      { id: 2, purchase_id: 1, title: 'Vase', link: 'https://shop.example/vase', price: 'about 20' },
+      { id: 3, purchase_id: 1, title: 'Card', link: 'https://shop.example/card', price: '0' },
+    ], { currency: 'USD', purchasesById, fallbackCurrency: 'USD', rates: RATES });
+
+    assert.deepEqual(items.map(item => item.priceIssue), ['unknownCurrency', 'unparseable', undefined]);
+    assert.deepEqual(summarizeHomemade(items).items.map(item => item.id), [3]);
+  });
+
+  test('has a rate for every currency that writes decimals with a comma', () => {
+    ['EUR', 'BRL', 'CZK', 'DKK', 'NOK', 'PLN', 'SEK', 'TRY'].forEach(code => assert.ok(isSupportedCurrency(code), code));
+  });
+});
@@ -0,0 +1,179 @@
+/**
+ * calculatePatientData golden tests
+ * Runs the whole calculation against the fixture database and compares
+ * every field of the WrappedData result with test/golden. The fixtures
+ * cover the awkward cases on purpose: a profile with no purchases, one
+ * whose gifts have no prices, suggesters missing from profiles, an
+ * unparseable price, a foreign-currency item and a purchase on the
+ * Dec 18 last-minute boundary that falls on Dec 17 in New York.
+ */
+
+import { before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculatePatientData } from '../src/services/dataCalculator.js';
+import { computeCommunityAggregate, saveCommunityAggregate } from '../src/services/community.js';
+import { NotFoundError, UpstreamError } from '../src/services/errors.js';
+import { createFakeSupabase } from './support/fakeSupabase.js';
+import { assertGolden, loadFixtures } from './support/fixtures.js';
+import { logger } from './support/logging.js';
+
+const YEAR = 2024;
+
+// Past years are measured as of Dec 31, but streaks still look at "now"
+const NOW = new Date('2025-01-15T00:00:00Z');
+
+const calculate = (supabase, profileId, options = {}) => calculatePatientData(supabase, profileId, YEAR, { now: NOW, logger, ...options });
+
+describe('calculatePatientData', () => {
+  let supabase;
+
+  before(async () => {
+    supabase = createFakeSupabase(loadFixtures());
+    // Store the year's aggregate like the batch job would, with a fixed timestamp for the golden files
+    const aggregate = await computeCommunityAggregate(supabase, YEAR);
+    await saveCommunityAggregate(supabase, { ...aggregate, computedAt: '2025-01-02T03:00:00.000Z' });
+  });
+
+  const scenarios = [
+    { golden: 'wrapped-ada-2024', profileId: 1 },
+    { golden: 'wrapped-ada-2024-utc', profileId: 1, options: { timeZone: 'UTC' } },
+    { golden: 'wrapped-ada-2024-custom', profileId: 1, options: { currency: 'EUR', streakPeriod: 'months', timing: { target: 'birthday' }, homemadeSignals: 'keywords' } },
+    { golden: 'wrapped-bob-2024', profileId: 2 },
+    { golden: 'wrapped-cy-2024', profileId: 3 },
+    { golden: 'wrapped-no-purchases-2024', profileId: 4 },
+    { golden: 'wrapped-null-prices-2024', profileId: 5 },
+  ];
+
+  scenarios.forEach(({ golden, profileId, options }) => {
+    test(`matches ${golden}.json`, async () => {
+      assertGolden(golden, await calculate(supabase, profileId, options));
+    });
+  });
+
+  test('counts the Dec 18 purchase as last minute in UTC but not in New York', async () => {
+    const newYork = await calculate(supabase, 1);
+    const utc = await calculate(supabase, 1, { timeZone: 'UTC' });
+
+    assert.equal(newYork.timeZone, 'America/New_York');
+    assert.equal(utc.stats.lastMinutePurchases, newYork.stats.lastMinutePurchases + 2);
+  });
+
+  test('names suggesters missing from profiles "Unknown"', async () => {
+    const result = await calculate(supabase, 1);
+
+    assert.deepEqual(
+      result.listStats.suggestedGiftCounts.find(entry => entry.suggested_by === 99),
+      { suggested_by: 99, count: 2, name: 'Unknown' },
+    );
+  });
+
+  test('breaks gifts down by recipient with their wishlist hit rate', async () => {
+    const result = await calculate(supabase, 1);
+    const bob = result.recipients.find(recipient => recipient.profile_id === 2);
+
+    assert.deepEqual(result.recipients.map(recipient => recipient.profile_id), [2, 3]);
+    assert.equal(bob.items, bob.fromWishlist + bob.suggested);
+    assert.deepEqual(bob.suggestedBy, [{ suggested_by: 3, count: 1, name: 'Cy Twombly' }]);
+    assert.equal(bob.wishlistHitRate, 0.8);
+  });
+
+  test('times santa score punctuality in UTC, like the distributions it is ranked against', async () => {
+    const newYork = await calculate(supabase, 1);
+    const utc = await calculate(supabase, 1, { timeZone: 'UTC' });
+
+    assert.notEqual(newYork.stats.lastMinutePurchases, utc.stats.lastMinutePurchases);
+    assert.deepEqual(newYork.santaScoreBreakdown.components.punctuality, utc.santaScoreBreakdown.components.punctuality);
+  });
+
+  test('places activity on the profile\'s calendar', async () => {
+    const newYork = await calculate(supabase, 1);
+    const utc = await calculate(supabase, 1, { timeZone: 'UTC' });
+
+    assert.deepEqual(newYork.activity.busiestTime, { weekday: 2, weekdayName: 'Tuesday', partOfDay: 'night', purchased: 2 });
+    assert.equal(utc.activity.busiestTime.weekdayName, 'Wednesday');
+    assert.equal(newYork.activity.weekdayHours.purchased.flat().reduce((sum, count) => sum + count, 0), newYork.stats.totalGiftsGiven);
+  });
+
+  test('counts activity per week within the requested range', async () => {
+    const { activity } = await calculate(supabase, 1, { activity: { resolution: 'weeks', from: '2024-10-01', to: '2024-12-31' } });
+
+    assert.equal(activity.series[0].start, '2024-09-30');
+    assert.equal(activity.series.length, 14);
+    assert.equal(activity.series.reduce((sum, week) => sum + week.purchased, 0), 4);
+    assert.deepEqual(activity.peakWeek, { start: '2024-12-16', added: 0, purchased: 2 });
+    assert.deepEqual(activity.quietestMonth, { month: '2024-11', added: 0, purchased: 1 });
+  });
+
+  test('counts activity per month by default and per day on request', async () => {
+    const { activity: monthly } = await calculate(supabase, 1);
+    const { activity: daily } = await calculate(supabase, 1, { activity: { resolution: 'days' } });
+
+    assert.equal(monthly.resolution, 'months');
+    assert.deepEqual(monthly.series.map(month => month.start), Array.from({ length: 12 }, (_, i) => `2024-${String(i + 1).padStart(2, '0')}-01`));
+    assert.equal(daily.series.length, 366);
+    assert.deepEqual([daily.series[0].start, daily.series[365].start], ['2024-01-01', '2024-12-31']);
+    assert.equal(daily.series.reduce((sum, day) => sum + day.purchased, 0), monthly.series.reduce((sum, month) => sum + month.purchased, 0));
+  });
+
+  test('returns empty stats for a profile with no purchases', async () => {
+    const result = await calculate(supabase, 4);
+
+    assert.equal(result.stats.totalGiftsGiven, 0);
+    assert.equal(result.stats.totalSpending, 0);
+    assert.deepEqual(result.stats.mostExpensiveGift, { title: '', price: 0, thumbnail_url: null });
+    assert.deepEqual(result.exchangePartners, []);
+    assert.deepEqual(result.recipients, []);
+    assert.deepEqual(result.warnings, []);
+  });
+
+  test('counts gifts with null prices without spending', async () => {
+    const result = await calculate(supabase, 5);
+
+    assert.equal(result.stats.totalGiftsGiven, 3);
+    assert.equal(result.stats.totalSpending, 0);
+    assert.equal(result.priceIssues.unparseable, 0);
+  });
+
+  test('loads a profile in four round trips', async () => {
+    const counted = createFakeSupabase(loadFixtures());
+    await calculate(counted, 1, { populationClient: supabase });
+
+    assert.deepEqual(counted.queries.map(query => query.table), ['purchase', 'list', 'list_item', 'purchase', 'list', 'profiles']);
+  });
+
+  test('throws PROFILE_NOT_FOUND for an unknown profile', async () => {
+    await assert.rejects(calculate(supabase, 404), error => error instanceof NotFoundError && error.code === 'PROFILE_NOT_FOUND');
+  });
+
+  test('throws UPSTREAM_ERROR when a required query fails', async () => {
+    const failing = createFakeSupabase(loadFixtures(), {
+      fail: ({ table }) => (table === 'list_item' ? { message: 'connection reset' } : null),
+    });
+
+    await assert.rejects(calculate(failing, 1, { populationClient: supabase }), error => error instanceof UpstreamError && error.code === 'UPSTREAM_ERROR');
+  });
+
+  test('reports SANTA_SCORE_UNAVAILABLE when there is no aggregate to rank against', async () => {
+    // e.g. the anon key under row-level security; 2023 keeps clear of the stored 2024 aggregate
+    const result = await calculatePatientData(supabase, 1, 2023, { now: NOW, logger, populationClient: createFakeSupabase({}) });
+
+    assert.equal(result.santaScoreBreakdown, null);
+    assert.deepEqual(result.warnings.map(warning => warning.code), ['SANTA_SCORE_UNAVAILABLE']);
+  });
+
+  test('matches wrapped-ada-2024-degraded.json when secondary data fails to load', async () => {
+    // Phase 3 (other people's purchases and lists, looked up by id) fails
+    const degraded = createFakeSupabase(loadFixtures(), {
+      fail: ({ table, filters }) => (
+        (table === 'purchase' || table === 'list') && filters.some(filter => filter.column === 'id' && filter.operator === 'in')
+          ? { message: 'statement timeout' }
+          : null
+      ),
+    });
+
+    const result = await calculate(degraded, 1, { populationClient: supabase });
+
+    assert.deepEqual(result.warnings.map(warning => warning.code), ['RECEIVED_GIFTS_UNAVAILABLE', 'RECIPIENT_LISTS_UNAVAILABLE']);
+    assertGolden('wrapped-ada-2024-degraded', result);
+  });
+});
@@ -0,0 +1,90 @@
+/**
+ * Fake Supabase tests
+ * The golden tests are only as good as the fake they run on, so check it
+ * answers queries the way PostgREST would.
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFakeSupabase } from './support/fakeSupabase.js';
+import { loadFixtures } from './support/fixtures.js';
+
+const ids = ({ data }) => data.map(row => row.id);
+
+describe('createFakeSupabase', () => {
+  const supabase = createFakeSupabase(loadFixtures());
+
+  test('filters with eq, in and timestamp ranges', async () => {
+    assert.deepEqual(ids(await supabase.from('purchase').select('id').eq('purchase_user', '1').gte('created_at', '2024-01-01T00:00:00Z').lt('created_at', '2024-12-01T00:00:00.000Z')), [101, 102, 103]);
+    assert.deepEqual(ids(await supabase.from('list').select('*').in('id', ['10', 30]).order('id', { ascending: false })), [30, 10]);
+  });
+
+  test('filters on nulls with is and not', async () => {
+    const unbought = await supabase.from('list_item').select('id').eq('list_id', 10).is('purchase_id', null);
+    const suggested = await supabase.from('list_item').select('id').eq('list_id', 10).not('suggested_by', 'is', null);
+
+    assert.deepEqual(ids(unbought), [1022, 1023, 1024]);
+    assert.deepEqual(ids(suggested), [1020, 1021, 1023]);
+  });
+
+  test('matches any condition of an or filter', async () => {
+    const { data } = await supabase.from('list_item').select('id').or('purchase_id.in.(101,102),list_id.in.(11)').order('id');
+
+    assert.deepEqual(data.map(row => row.id), [1000, 1005, 1030]);
+  });
+
+  test('selects only the named columns', async () => {
+    const { data } = await supabase.from('profiles').select('id, first_name').eq('id', 1).single();
+
+    assert.deepEqual(data, { id: 1, first_name: 'Ada' });
+  });
+
+  test('pages with range and limit', async () => {
+    assert.deepEqual(ids(await supabase.from('purchase').select('id').order('id').range(2, 3)), [102, 103]);
+    assert.deepEqual(ids(await supabase.from('purchase').select('id').order('id').gt('id', 200).limit(2)), [201, 300]);
+  });
+
+  test('caps a select at maxRows, like the real API', async () => {
+    const capped = createFakeSupabase({ purchase: [{ id: 1 }, { id: 2 }, { id: 3 }] }, { maxRows: 2 });
+
+    assert.deepEqual(ids(await capped.from('purchase').select('id').order('id')), [1, 2]);
+    assert.deepEqual(ids(await capped.from('purchase').select('id').order('id').range(2, 3)), [3]);
+  });
+
+  test('counts rows with count and head', async () => {
+    const result = await supabase.from('purchase').select('*', { count: 'exact', head: true }).eq('purchase_user', 1);
+
+    assert.equal(result.count, 7);
+    assert.equal(result.data, null);
+  });
+
+  test('errors from single when there is not exactly one row', async () => {
+    const many = await supabase.from('profiles').select('*').single();
+    const none = await supabase.from('profiles').select('*').eq('id', 404).maybeSingle();
+
+    assert.equal(many.error.code, 'PGRST116');
+    assert.deepEqual(none, { data: null, error: null, count: null });
+  });
+
+  test('upserts on the conflict columns', async () => {
+    const writable = createFakeSupabase({ wrapped_community: [{ year: 2024, data: { old: true } }] });
+    await writable.from('wrapped_community').upsert({ year: 2024, data: { old: false } }, { onConflict: 'year' });
+    await writable.from('wrapped_community').upsert({ year: 2025, data: {} }, { onConflict: 'year' });
+
+    assert.deepEqual(writable.tables.wrapped_community, [{ year: 2024, data: { old: false } }, { year: 2025, data: {} }]);
+  });
+
+  test('returns an injected failure as the query error', async () => {
+    const failing = createFakeSupabase(loadFixtures(), { fail: ({ table }) => (table === 'list' ? { message: 'boom' } : null) });
+
+    assert.deepEqual(await failing.from('list').select('*'), { data: null, error: { message: 'boom' }, count: null });
+    assert.equal((await failing.from('profiles').select('*')).data.length, 5);
+  });
+
+  test('verifies access tokens', async () => {
+    const withUsers = createFakeSupabase({}, { users: { 'token-ada': { id: 'user-ada' } } });
+
+    assert.deepEqual((await withUsers.auth.getUser('token-ada')).data.user, { id: 'user-ada' });
+    assert.ok((await withUsers.auth.getUser('expired')).error);
+  });
+});
@@ -0,0 +1,158 @@
+/**
+ * Group Wrapped tests
+ * The fixture family (group 7) is Ada, Bob and Cy, who only buy for each
+ * other; group 8 is Dee, who buys nothing, and Eve, who only buys for
+ * people outside it.
+ */
+
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateGroupData } from '../src/services/groupWrapped.js';
+import { computeCommunityAggregate, saveCommunityAggregate } from '../src/services/community.js';
+import { createApp } from '../src/app.js';
+import { createMemoryCache } from '../src/services/cache.js';
+import { createFakeSupabase, fakeClients } from './support/fakeSupabase.js';
+import { assertGolden, loadFixtures } from './support/fixtures.js';
+import { logger } from './support/logging.js';
+
+const YEAR = 2024;
+const NOW = new Date('2025-01-15T00:00:00Z');
+
+const USERS = {
+  'token-ada': { id: 'user-ada' },
+  'token-dee': { id: 'user-dee' },
+  'token-admin': { id: 'user-admin', app_metadata: { role: 'admin' } },
+};
+
+describe('calculateGroupData', () => {
+  const supabase = createFakeSupabase(loadFixtures());
+
+  // Santa scores (and so topSanta) are ranked against the stored aggregate
+  before(async () => {
+    const aggregate = await computeCommunityAggregate(supabase, YEAR);
+    await saveCommunityAggregate(supabase, { ...aggregate, computedAt: '2025-01-02T03:00:00.000Z' });
+  });
+
+  test('matches group-family-2024.json', async () => {
+    assertGolden('group-family-2024', await calculateGroupData(supabase, [1, 2, 3], YEAR, { groupId: 7, now: NOW, logger }));
+  });
+
+  test('counts who bought for whom inside the group', async () => {
+    const group = await calculateGroupData(supabase, [1, 2, 3], YEAR, { now: NOW, logger });
+
+    const bobFor = group.exchanges.filter(entry => entry.from === 2).map(entry => [entry.to, entry.count]);
+    assert.deepEqual(bobFor, [[1, 2]]);
+    assert.equal(group.stats.giftsWithinGroup + group.stats.giftsOutsideGroup, group.stats.totalGiftsGiven);
+  });
+
+  test('uses the first member\'s calendar and currency for everyone', async () => {
+    const bobFirst = await calculateGroupData(supabase, [2, 1], YEAR, { now: NOW, logger });
+
+    assert.equal(bobFirst.timeZone, 'Europe/London');
+    assert.equal(bobFirst.currency, 'GBP');
+    assert.deepEqual(bobFirst.members.map(member => member.profileId), [2, 1]);
+  });
+
+  test('leaves out superlatives nobody scored on', async () => {
+    const group = await calculateGroupData(supabase, [4, 5], YEAR, { now: NOW, logger });
+
+    assert.deepEqual(group.superlatives.map(entry => entry.key), ['mostGenerous', 'earliestShopper', 'craftiest', 'topSanta']);
+    assert.ok(group.superlatives.every(entry => entry.profileId === 5));
+  });
+
+  test('counts gifts to people outside the group', async () => {
+    const group = await calculateGroupData(supabase, [4, 5], YEAR, { now: NOW, logger });
+
+    assert.deepEqual(group.exchanges, []);
+    assert.equal(group.stats.giftsOutsideGroup, 3);
+    assert.equal(group.stats.peopleGiftedOutsideGroup, 2);
+  });
+});
+
+describe('group routes', () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    const supabase = createFakeSupabase(loadFixtures(), { users: USERS });
+    const app = createApp({ allowedOrigins: [], profileOwnerColumn: 'user_id' }, {
+      clients: fakeClients(supabase),
+      cache: createMemoryCache(),
+      logger,
+    });
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  const get = async (path, token) => {
+    const response = await fetch(`${baseUrl}${path}`, { headers: token ? { Authorization: `Bearer ${token}` } : {} });
+    return { status: response.status, body: await response.json() };
+  };
+
+  test('returns a stored group to a member', async () => {
+    const { status, body } = await get(`/api/group/7/data?year=${YEAR}`, 'token-ada');
+
+    assert.equal(status, 200);
+    assert.equal(body.groupId, 7);
+    assert.deepEqual(body.members.map(member => member.profileId), [1, 2, 3]);
+  });
+
+  test('shows other members\' spending as ranges and hides their gifts', async () => {
+    const { body } = await get(`/api/group/7/data?year=${YEAR}`, 'token-ada');
+    const [ada, bob] = body.members;
+
+    assert.equal(ada.totalSpending, 252);
+    assert.deepEqual(bob.totalSpending, { min: 250, max: 500, label: '$250-$500' });
+    assert.equal(body.stats.totalSpending.label, '$500-$1,000');
+    assert.deepEqual(body.stats.mostExpensiveGift, { title: '', price: { min: 250, max: 500, label: '$250-$500' }, thumbnail_url: null, profileId: 2 });
+    assert.ok(body.retailerBreakdown.every(entry => entry.spend === undefined));
+    assert.equal(body.superlatives.find(entry => entry.key === 'biggestSpender').value.label, '$250-$500');
+  });
+
+  test('drops scores and spend-based personalities of other members', async () => {
+    const { body } = await get(`/api/group/7/data?year=${YEAR}`, 'token-ada');
+    const [ada, bob] = body.members;
+
+    assert.equal(ada.personalityType, 'Big Spender');
+    assert.equal(typeof ada.santaScore, 'number');
+    assert.equal(bob.personalityType, null);
+    assert.equal(bob.santaScore, null);
+  });
+
+  test('shows admins every member\'s exact figures', async () => {
+    const { body } = await get(`/api/group/7/data?year=${YEAR}`, 'token-admin');
+
+    assert.equal(body.members[1].totalSpending, 353.47);
+    assert.notEqual(body.stats.mostExpensiveGift.title, '');
+  });
+
+  test('hides a stored group from non-members', async () => {
+    assert.equal((await get(`/api/group/7/data?year=${YEAR}`, 'token-dee')).body.code, 'FORBIDDEN');
+    assert.equal((await get(`/api/group/404/data?year=${YEAR}`, 'token-dee')).body.code, 'FORBIDDEN');
+  });
+
+  test('tells admins when a group does not exist', async () => {
+    const { status, body } = await get(`/api/group/404/data?year=${YEAR}`, 'token-admin');
+
+    assert.equal(status, 404);
+    assert.equal(body.code, 'GROUP_NOT_FOUND');
+  });
+
+  test('only lets callers group profiles they own', async () => {
+    const { status, body } = await get(`/api/group/data?profiles=1,2&year=${YEAR}`, 'token-ada');
+
+    assert.equal(status, 403);
+    assert.equal(body.code, 'FORBIDDEN');
+    assert.equal((await get(`/api/group/data?profiles=1,2&year=${YEAR}`, 'token-admin')).status, 200);
+  });
+
+  test('rejects groups of fewer than two profiles', async () => {
+    const { status, body } = await get('/api/group/data?profiles=1,1', 'token-admin');
+
+    assert.equal(status, 400);
+    assert.deepEqual(body.details, [{ field: 'query.profiles', message: 'must list at least 2 different values' }]);
+  });
+});
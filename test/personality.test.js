@@ -0,0 +1,75 @@
+/**
+ * Personality rule tests
+ * Each rule is checked on its own against fixed stats: exactly at its
+ * thresholds, and one step below them.
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PERSONALITY_RULES } from '../src/services/personalityRules.js';
+import { classifyPersonality, evaluateRule } from '../src/services/personality.js';
+
+// A quiet year that no rule matches
+const BASE_STATS = {
+  currency: 'USD',
+  totalGiftsGiven: 4,
+  totalSpending: 100,
+  mostExpensiveGift: { title: 'Scarf', price: 40, thumbnail_url: null },
+  peopleExchangedWith: 2,
+  lastMinutePurchases: 0,
+  purchaseTiming: { earlyBird: 2, onTime: 2, lastMinute: 0 },
+};
+const BASE_LIST_STATS = { totalListsCreated: 1, listWithMostItems: { name: 'Wishlist', itemCount: 3 } };
+
+const rule = (type) => PERSONALITY_RULES.find(entry => entry.type === type);
+
+const data = ({ stats = {}, listStats = {} } = {}) => ({
+  stats: { ...BASE_STATS, ...stats },
+  listStats: { ...BASE_LIST_STATS, ...listStats },
+});
+
+const cases = [
+  { type: 'Last-Minute Elf', name: 'at 2 last-minute gifts making half', matches: true, stats: { totalGiftsGiven: 4, lastMinutePurchases: 2 } },
+  { type: 'Last-Minute Elf', name: 'with 1 last-minute gift', matches: false, stats: { totalGiftsGiven: 1, lastMinutePurchases: 1 } },
+  { type: 'Last-Minute Elf', name: 'when last-minute gifts are under half', matches: false, stats: { totalGiftsGiven: 5, lastMinutePurchases: 2 } },
+  { type: 'Big Spender', name: 'at a $100 gift', matches: true, stats: { mostExpensiveGift: { title: 'Boots', price: 100 } } },
+  { type: 'Big Spender', name: 'at $500 total', matches: true, stats: { totalSpending: 500 } },
+  { type: 'Big Spender', name: 'just under both amounts', matches: false, stats: { totalSpending: 499.99, mostExpensiveGift: { title: 'Boots', price: 99.99 } } },
+  { type: 'Big Spender', name: 'with thresholds converted to the display currency', matches: false, stats: { currency: 'JPY', totalSpending: 500, mostExpensiveGift: { title: 'Mug', price: 100 } } },
+  { type: 'Social Butterfly', name: 'at 5 people', matches: true, stats: { peopleExchangedWith: 5 } },
+  { type: 'Social Butterfly', name: 'at 4 people', matches: false, stats: { peopleExchangedWith: 4 } },
+  { type: 'Curator', name: 'at 3 lists', matches: true, listStats: { totalListsCreated: 3 } },
+  { type: 'Curator', name: 'at 2 lists', matches: false, listStats: { totalListsCreated: 2 } },
+  { type: 'Generous Giver', name: 'at 10 gifts', matches: true, stats: { totalGiftsGiven: 10 } },
+  { type: 'Generous Giver', name: 'at 9 gifts', matches: false, stats: { totalGiftsGiven: 9 } },
+];
+
+describe('PERSONALITY_RULES', () => {
+  cases.forEach(({ type, name, matches, stats, listStats }) => {
+    test(`${type} ${matches ? 'matches' : 'does not match'} ${name}`, () => {
+      assert.equal(evaluateRule(rule(type), data({ stats, listStats })), matches);
+    });
+  });
+
+  test('the base stats match no rule', () => {
+    assert.ok(PERSONALITY_RULES.every(entry => !evaluateRule(entry, data())));
+    assert.equal(classifyPersonality(BASE_STATS, BASE_LIST_STATS).personalityType, 'Thoughtful Gifter');
+  });
+});
+
+describe('classifyPersonality', () => {
+  const elf = data({ stats: { totalGiftsGiven: 4, lastMinutePurchases: 3, peopleExchangedWith: 6 } });
+
+  test('picks the highest-priority matching rule', () => {
+    assert.equal(classifyPersonality(elf.stats, elf.listStats).personalityType, 'Last-Minute Elf');
+  });
+
+  test('names the configured timing target in the Last-Minute Elf reason', () => {
+    const reason = (timing) => classifyPersonality(elf.stats, elf.listStats, timing).personalityReason;
+
+    assert.equal(reason({ target: 'christmas' }), '3 of your 4 gifts were bought in the final days before Christmas.');
+    assert.equal(reason({ target: 'birthday' }), "3 of your 4 gifts were bought in the final days before your recipients' birthdays.");
+    assert.equal(reason({ target: '02-14' }), '3 of your 4 gifts were bought in the final days before Feb 14.');
+    assert.equal(reason({ target: 'christmas', eventDates: true }), '3 of your 4 gifts were bought in the final days before the events you bought them for.');
+  });
+});
@@ -0,0 +1,29 @@
+/**
+ * Year population tests
+ * The population is read in pages and in chunks of IDs; a chunk that
+ * matches more rows than one page holds must still come back whole.
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadYearPopulation } from '../src/services/population.js';
+import { createFakeSupabase } from './support/fakeSupabase.js';
+
+const YEAR_START = new Date('2024-01-01T00:00:00Z');
+const YEAR_END = new Date('2024-12-31T23:59:59.999Z');
+
+describe('loadYearPopulation', () => {
+  // The fake returns at most 1000 rows per select, like Supabase
+  test('pages through items when one chunk of purchases has more than a page of them', async () => {
+    const supabase = createFakeSupabase({
+      purchase: [{ id: 1, purchase_user: 7, created_at: '2024-12-01T10:00:00Z' }],
+      list: [{ id: 5, owner_user_id: 8 }],
+      list_item: Array.from({ length: 1500 }, (_, i) => ({ id: i + 1, list_id: 5, purchase_id: 1, price: '1.00' })),
+    });
+
+    const population = await loadYearPopulation(supabase, YEAR_START, YEAR_END);
+
+    assert.equal(population.items.length, 1500);
+    assert.equal(population.itemsByBuyer[7].length, 1500);
+  });
+});
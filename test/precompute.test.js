@@ -0,0 +1,46 @@
+/**
+ * Precompute job tests
+ * Runs precomputeYear over the fixture profiles with an in-memory writer.
+ */
+
+import { before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { precomputeYear } from '../src/services/precompute.js';
+import { computeCommunityAggregate, saveCommunityAggregate } from '../src/services/community.js';
+import { createFakeSupabase } from './support/fakeSupabase.js';
+import { loadFixtures } from './support/fixtures.js';
+import { logger } from './support/logging.js';
+
+const YEAR = 2024;
+const NOW = new Date('2025-01-15T00:00:00Z');
+
+describe('precomputeYear', () => {
+  const service = createFakeSupabase(loadFixtures());
+
+  before(async () => {
+    await saveCommunityAggregate(service, await computeCommunityAggregate(service, YEAR));
+  });
+
+  test('calculates each profile as its owner', async () => {
+    const ownerClients = {};
+    const written = [];
+    const queriesBefore = service.queries.length;
+
+    const checkpoint = await precomputeYear(service, YEAR, {
+      write: async (data) => written.push(data.profileId),
+      clientForOwner: (ownerId) => {
+        ownerClients[ownerId] = createFakeSupabase(loadFixtures());
+        return ownerClients[ownerId];
+      },
+      calculation: { now: NOW, logger },
+      retries: 0,
+    });
+
+    assert.deepEqual(checkpoint.failed, []);
+    assert.deepEqual(written.sort(), [1, 2, 3, 4, 5]);
+    assert.deepEqual(Object.keys(ownerClients).sort(), ['user-ada', 'user-bob', 'user-cy', 'user-dee', 'user-eve']);
+    assert.ok(ownerClients['user-ada'].queries.some(query => query.table === 'purchase'));
+    // The job's own client only pages through profiles and reads the aggregate
+    assert.deepEqual([...new Set(service.queries.slice(queriesBefore).map(query => query.table))].sort(), ['profiles', 'wrapped_community']);
+  });
+});
@@ -0,0 +1,76 @@
+/**
+ * Retailer normalization tests
+ * Links as people paste them: subdomains, country TLDs, affiliate and
+ * social redirects, short links and links without a scheme.
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { brandFromHostname, normalizeRetailer, summarizeRetailers, OTHER_RETAILER } from '../src/services/retailers.js';
+
+describe('brandFromHostname', () => {
+  const cases = [
+    ['www.bestbuy.com', 'bestbuy'],
+    ['smile.amazon.co.uk', 'amazon'],
+    ['www.amazon.com.au', 'amazon'],
+    ['amazon.de', 'amazon'],
+    ['m.ebay.co.uk', 'ebay'],
+    ['shop.lego.com', 'lego'],
+    ['uk.zara.com', 'zara'],
+    ['www.target.com.', 'target'],
+  ];
+
+  cases.forEach(([hostname, brand]) => {
+    test(`${hostname} -> ${brand}`, () => {
+      assert.equal(brandFromHostname(hostname), brand);
+    });
+  });
+});
+
+describe('normalizeRetailer', () => {
+  const cases = [
+    { name: 'a subdomain', link: 'https://smile.amazon.com/dp/B0123', retailer: 'Amazon' },
+    { name: 'a country TLD', link: 'https://www.amazon.co.uk/dp/B0123', retailer: 'Amazon' },
+    { name: 'a second-level country TLD', link: 'https://www.ebay.com.au/itm/123', retailer: 'eBay' },
+    { name: 'no scheme', link: 'www.etsy.com/listing/42', retailer: 'Etsy' },
+    { name: 'an affiliate redirect', link: 'https://go.redirectingat.com/?id=1&url=https%3A%2F%2Fwww.johnlewis.com%2Fp%2F9', retailer: 'John Lewis' },
+    { name: 'a social redirect', link: 'https://l.facebook.com/l.php?u=https%3A%2F%2Fwww.ikea.com%2Fus%2Fen%2Fp%2F1', retailer: 'IKEA' },
+    { name: 'nested redirects', link: `https://href.li/?url=${encodeURIComponent('https://out.reddit.com/?url=https%3A%2F%2Fwww.rei.com%2Fproduct%2F7')}`, retailer: 'REI' },
+    { name: 'a redirect with the destination as the query string', link: 'https://href.li/?https://www.rei.com/product/7?color=red', retailer: 'REI' },
+    { name: 'a redirect with an encoded query string destination', link: 'https://href.li/?https%3A%2F%2Fwww.etsy.com%2Flisting%2F9', retailer: 'Etsy' },
+    { name: 'a retailer\'s own redirect host', link: 'https://goto.walmart.com/c/1?u=https%3A%2F%2Fwww.walmart.com%2Fip%2F5', retailer: 'Walmart' },
+    { name: 'a short link', link: 'https://amzn.to/3xYz', retailer: 'Amazon' },
+    { name: 'a short link without a scheme', link: 'a.co/d/abc', retailer: 'Amazon' },
+    { name: 'another retailer\'s short link', link: 'https://etsy.me/2abc', retailer: 'Etsy' },
+    { name: 'a redirect with no destination', link: 'https://l.instagram.com/?e=1', retailer: OTHER_RETAILER },
+    { name: 'an unknown host', link: 'https://my-little-shop.example/scarf', retailer: OTHER_RETAILER },
+    { name: 'an unparseable link', link: 'not a link', retailer: OTHER_RETAILER },
+    { name: 'no link', link: null, retailer: OTHER_RETAILER },
+  ];
+
+  cases.forEach(({ name, link, retailer }) => {
+    test(`resolves ${name}`, () => {
+      assert.equal(normalizeRetailer(link), retailer);
+    });
+  });
+
+  test('uses the alias table it is given', () => {
+    assert.equal(normalizeRetailer('https://www.example-books.co.uk/b/1', { 'example-books': 'Example Books' }), 'Example Books');
+  });
+});
+
+describe('summarizeRetailers', () => {
+  test('never names Other/Homemade as the most used retailer', () => {
+    const { mostUsedRetailer, retailerBreakdown } = summarizeRetailers([
+      { link: null, price: '10' },
+      { link: null, price: '5' },
+      { link: 'https://amzn.to/1', price: '20' },
+    ]);
+
+    assert.equal(mostUsedRetailer, 'Amazon');
+    assert.deepEqual(retailerBreakdown, [
+      { retailer: OTHER_RETAILER, count: 2, spend: 15 },
+      { retailer: 'Amazon', count: 1, spend: 20 },
+    ]);
+  });
+});
@@ -0,0 +1,181 @@
+/**
+ * Route tests
+ * The profile routes end to end over HTTP: who may read, share and revoke
+ * a profile's Wrapped, ETag revalidation, and the public share view.
+ * Ada (profile 1) is owned by user-ada; Dee owns profile 4 only.
+ */
+
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createApp } from '../src/app.js';
+import { createMemoryCache } from '../src/services/cache.js';
+import { createFakeSupabase, fakeClients } from './support/fakeSupabase.js';
+import { loadFixtures } from './support/fixtures.js';
+import { logger } from './support/logging.js';
+
+const YEAR = 2024;
+
+const USERS = {
+  'token-ada': { id: 'user-ada' },
+  'token-dee': { id: 'user-dee' },
+  'token-admin': { id: 'user-admin', app_metadata: { role: 'admin' } },
+};
+
+let server;
+let baseUrl;
+
+before(async () => {
+  const supabase = createFakeSupabase(loadFixtures(), { users: USERS });
+  const app = createApp({ allowedOrigins: [], profileOwnerColumn: 'user_id', shareSecret: 'test-share-secret' }, {
+    clients: fakeClients(supabase),
+    cache: createMemoryCache(),
+    logger,
+  });
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+const request = async (method, path, { token, headers = {}, body } = {}) => {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers: {
+      ...headers,
+      ...(token ? { Authorization: `Bearer ${token}` } : {}),
+      ...(body ? { 'Content-Type': 'application/json' } : {}),
+    },
+    body: body && JSON.stringify(body),
+  });
+  const text = await response.text();
+  const isJson = (response.headers.get('Content-Type') || '').includes('application/json');
+  return { status: response.status, headers: response.headers, body: isJson ? JSON.parse(text) : text };
+};
+
+describe('GET /api/patient/:patientId/data', () => {
+  test('needs a valid token', async () => {
+    assert.equal((await request('GET', `/api/patient/1/data?year=${YEAR}`)).status, 401);
+    assert.equal((await request('GET', `/api/patient/1/data?year=${YEAR}`, { token: 'token-unknown' })).body.code, 'UNAUTHORIZED');
+  });
+
+  test('only serves a profile to its owner or an admin', async () => {
+    const other = await request('GET', `/api/patient/1/data?year=${YEAR}`, { token: 'token-dee' });
+
+    assert.equal(other.status, 403);
+    assert.equal(other.body.code, 'FORBIDDEN');
+    assert.equal((await request('GET', `/api/patient/1/data?year=${YEAR}`, { token: 'token-ada' })).status, 200);
+    assert.equal((await request('GET', `/api/patient/1/data?year=${YEAR}`, { token: 'token-admin' })).status, 200);
+  });
+
+  test('answers a missing profile with 403, or 404 for admins', async () => {
+    assert.equal((await request('GET', `/api/patient/999/data?year=${YEAR}`, { token: 'token-ada' })).status, 403);
+    assert.equal((await request('GET', `/api/patient/999/data?year=${YEAR}`, { token: 'token-admin' })).body.code, 'PROFILE_NOT_FOUND');
+  });
+
+  test('returns 304 when the ETag still matches', async () => {
+    const first = await request('GET', `/api/patient/1/data?year=${YEAR}`, { token: 'token-ada' });
+    const etag = first.headers.get('ETag');
+    // fetch adds Cache-Control: no-cache to conditional requests, which would skip the check
+    const headers = { 'If-None-Match': etag, 'Cache-Control': 'max-age=0' };
+    const revalidated = await request('GET', `/api/patient/1/data?year=${YEAR}`, { token: 'token-ada', headers });
+    const otherYear = await request('GET', `/api/patient/1/data?year=${YEAR - 1}`, { token: 'token-ada', headers });
+
+    assert.ok(etag);
+    assert.equal(first.headers.get('Cache-Control'), 'private, no-cache');
+    assert.equal(revalidated.status, 304);
+    assert.equal(otherYear.status, 200);
+  });
+});
+
+describe('share routes', () => {
+  const createShare = (token, body = { year: YEAR }) => request('POST', '/api/patient/1/share', { token, body });
+
+  test('only lets the owner share a profile', async () => {
+    const { status, body } = await createShare('token-dee');
+
+    assert.equal(status, 403);
+    assert.equal(body.code, 'FORBIDDEN');
+  });
+
+  test('serves a redacted view of a share, until the owner revokes it', async () => {
+    const { status, body: share } = await createShare('token-ada');
+    assert.equal(status, 201);
+    assert.equal(share.url, `/api/share/${share.token}`);
+
+    const shared = await request('GET', share.url);
+    assert.equal(shared.status, 200);
+    assert.equal(shared.headers.get('Cache-Control'), 'public, max-age=300');
+    assert.equal(typeof shared.body.stats.totalSpending, 'object');
+
+    const byOther = await request('DELETE', `/api/patient/1/share/${share.shareId}`, { token: 'token-dee' });
+    assert.equal(byOther.status, 403);
+    assert.equal((await request('GET', share.url)).status, 200);
+
+    const revoked = await request('DELETE', `/api/patient/1/share/${share.shareId}`, { token: 'token-ada' });
+    assert.deepEqual(revoked.body, { status: 'ok', shareId: share.shareId });
+
+    const afterRevoke = await request('GET', share.url);
+    assert.equal(afterRevoke.status, 410);
+    assert.equal(afterRevoke.body.code, 'SHARE_REVOKED');
+  });
+
+  test('keeps other shares of the profile working after a revoke', async () => {
+    const { body: kept } = await createShare('token-ada');
+    const { body: revoked } = await createShare('token-ada');
+
+    await request('DELETE', `/api/patient/1/share/${revoked.shareId}`, { token: 'token-ada' });
+
+    assert.equal((await request('GET', kept.url)).status, 200);
+    assert.equal((await request('GET', revoked.url)).status, 410);
+  });
+
+  test('does not let a share be revoked through another profile', async () => {
+    const { body: share } = await createShare('token-ada');
+
+    await request('DELETE', `/api/patient/4/share/${share.shareId}`, { token: 'token-dee' });
+
+    assert.equal((await request('GET', share.url)).status, 200);
+  });
+
+  test('answers a tampered token with 404', async () => {
+    const { body: share } = await createShare('token-ada');
+    const { status, body } = await request('GET', `${share.url.slice(0, -1)}x`);
+
+    assert.equal(status, 404);
+    assert.equal(body.code, 'SHARE_NOT_FOUND');
+  });
+});
+
+describe('GET /api/patient/:patientId/slides/:slide.svg', () => {
+  test('renders a slide for the owner', async () => {
+    const { status, headers, body } = await request('GET', `/api/patient/1/slides/total-gifts.svg?year=${YEAR}`, { token: 'token-ada' });
+
+    assert.equal(status, 200);
+    assert.match(headers.get('Content-Type'), /^image\/svg\+xml/);
+    assert.match(body, /<svg /);
+  });
+
+  test('refuses other people\'s profiles and unknown slides', async () => {
+    assert.equal((await request('GET', `/api/patient/1/slides/total-gifts.svg?year=${YEAR}`, { token: 'token-dee' })).status, 403);
+    assert.equal((await request('GET', `/api/patient/1/slides/nope.svg?year=${YEAR}`, { token: 'token-ada' })).body.code, 'SLIDE_NOT_FOUND');
+  });
+});
+
+describe('GET /api/patient/:patientId/compare', () => {
+  test('compares the requested years for the owner', async () => {
+    const { status, body } = await request('GET', `/api/patient/1/compare?from=${YEAR - 1}&to=${YEAR}`, { token: 'token-ada' });
+
+    assert.equal(status, 200);
+    assert.equal(body.profileId, 1);
+    assert.deepEqual(body.yearly.map(entry => entry.year), [YEAR - 1, YEAR]);
+  });
+
+  test('refuses other people\'s profiles and backwards ranges', async () => {
+    assert.equal((await request('GET', `/api/patient/1/compare?to=${YEAR}`, { token: 'token-dee' })).status, 403);
+
+    const backwards = await request('GET', `/api/patient/1/compare?from=${YEAR}&to=${YEAR - 1}`, { token: 'token-ada' });
+    assert.equal(backwards.status, 400);
+    assert.equal(backwards.body.code, 'VALIDATION_FAILED');
+  });
+});
@@ -0,0 +1,98 @@
+/**
+ * Share redaction tests
+ * Checks that what the owner chose to hide stays out of the public view,
+ * including text that quotes it.
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { redactWrappedData } from '../src/services/shareRedaction.js';
+
+const wrapped = (overrides = {}) => ({
+  year: 2024,
+  stats: {
+    totalSpending: 80,
+    currency: 'USD',
+    mostExpensiveGift: { title: 'Surprise engagement ring', price: 40, thumbnail_url: 'https://img.example/ring.jpg' },
+  },
+  personalityType: 'Curator',
+  personalityReason: 'You created 3 lists, with "Wedding plans" holding 12 items.',
+  listStats: {
+    totalListsCreated: 3,
+    listWithMostItems: { name: 'Wedding plans', itemCount: 12 },
+    mostActiveDay: null,
+    suggestedGiftCounts: [],
+  },
+  santaScoreBreakdown: {
+    total: 62,
+    populationSize: 40,
+    components: {
+      generosity: { percentile: 91, points: 27.3, raw: { spend: 80, gifts: 3 } },
+      reach: { percentile: 40, points: 8, raw: { people: 2 } },
+    },
+  },
+  percentiles: { populationSize: 40, stats: { totalSpending: 91, totalGiftsGiven: 55 } },
+  exchangePartners: [],
+  retailerBreakdown: [],
+  categoryBreakdown: [],
+  homemadeGiftItems: [],
+  ...overrides,
+});
+
+describe('redactWrappedData', () => {
+  test('keeps titles, thumbnails, list names and the reason when items are shown', () => {
+    const shared = redactWrappedData(wrapped(), { showItems: true });
+
+    assert.equal(shared.stats.mostExpensiveGift.title, 'Surprise engagement ring');
+    assert.equal(shared.stats.mostExpensiveGift.thumbnail_url, 'https://img.example/ring.jpg');
+    assert.deepEqual(shared.listStats.listWithMostItems, { name: 'Wedding plans', itemCount: 12 });
+    assert.equal(shared.personalityReason, 'You created 3 lists, with "Wedding plans" holding 12 items.');
+  });
+
+  test('hides the thumbnail and list name when items are hidden', () => {
+    const shared = redactWrappedData(wrapped(), { showItems: false });
+
+    assert.deepEqual(shared.stats.mostExpensiveGift, { title: '', price: { min: 25, max: 50, label: '$25-$50' }, thumbnail_url: null });
+    assert.deepEqual(shared.listStats.listWithMostItems, { name: null, itemCount: 12 });
+  });
+
+  test('drops a reason that quotes a hidden list name or gift title', () => {
+    const curator = redactWrappedData(wrapped(), { showItems: false });
+    const bigSpender = redactWrappedData(wrapped({
+      personalityType: 'Big Spender',
+      personalityReason: 'You spent a lot this year, including on Surprise engagement ring.',
+    }), { showItems: false, spending: 'exact' });
+
+    assert.equal(curator.personalityReason, '');
+    assert.equal(bigSpender.personalityReason, '');
+  });
+
+  test('keeps a reason that quotes nothing hidden', () => {
+    const shared = redactWrappedData(wrapped({
+      personalityType: 'Generous Giver',
+      personalityReason: 'You gave 12 gifts this year.',
+    }), { showItems: false });
+
+    assert.equal(shared.personalityReason, 'You gave 12 gifts this year.');
+  });
+
+  test('hides spending ranks unless spending is exact', () => {
+    const ranged = redactWrappedData(wrapped(), { spending: 'range' });
+    const exact = redactWrappedData(wrapped(), { spending: 'exact' });
+
+    assert.deepEqual(ranged.santaScoreBreakdown.components, {
+      generosity: { percentile: null, points: null },
+      reach: { percentile: 40, points: 8 },
+    });
+    assert.deepEqual(ranged.percentiles.stats, { totalGiftsGiven: 55 });
+    assert.deepEqual(exact.santaScoreBreakdown.components.generosity, { percentile: 91, points: 27.3 });
+    assert.deepEqual(exact.percentiles.stats, { totalSpending: 91, totalGiftsGiven: 55 });
+  });
+
+  test('drops a reason that quotes an amount unless spending is exact', () => {
+    const data = wrapped({ personalityType: 'Big Spender', personalityReason: 'You spent $80.00 on gifts this year.' });
+
+    assert.equal(redactWrappedData(data, { spending: 'range' }).personalityReason, '');
+    assert.equal(redactWrappedData(data, { spending: 'exact' }).personalityReason, 'You spent $80.00 on gifts this year.');
+  });
+});
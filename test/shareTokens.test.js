@@ -0,0 +1,58 @@
+/**
+ * Share token tests
+ * Two clients on one fake database stand for two server instances, so a
+ * revocation made through one has to be seen by the other.
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createShareToken, verifyShareToken, revokeShare, REVOCATIONS_TABLE } from '../src/services/shareTokens.js';
+import { UpstreamError } from '../src/services/errors.js';
+import { createFakeSupabase } from './support/fakeSupabase.js';
+
+const SECRET = 'test-share-secret';
+
+const mint = () => createShareToken({ profileId: 1, year: 2024, privacy: { showItems: false } }, SECRET);
+
+describe('verifyShareToken', () => {
+  test('accepts a token it signed', async () => {
+    const { token, shareId } = mint();
+
+    const result = await verifyShareToken(token, SECRET, createFakeSupabase({ [REVOCATIONS_TABLE]: [] }));
+
+    assert.deepEqual(result, { valid: true, share: { shareId, profileId: '1', year: 2024, privacy: { showItems: false } } });
+  });
+
+  test('rejects a token signed with another secret', async () => {
+    const { token } = mint();
+
+    const result = await verifyShareToken(token, 'another-secret', createFakeSupabase({ [REVOCATIONS_TABLE]: [] }));
+
+    assert.deepEqual(result, { valid: false, reason: 'invalid' });
+  });
+
+  test('rejects a revoked share on every instance', async () => {
+    const database = createFakeSupabase({ [REVOCATIONS_TABLE]: [] });
+    const { token, shareId } = mint();
+
+    await revokeShare(database, 1, shareId);
+
+    assert.equal(database.tables[REVOCATIONS_TABLE].length, 1);
+    assert.deepEqual(await verifyShareToken(token, SECRET, database), { valid: false, reason: 'revoked' });
+  });
+
+  test('only revokes the share it names', async () => {
+    const database = createFakeSupabase({ [REVOCATIONS_TABLE]: [] });
+    const { token } = mint();
+
+    await revokeShare(database, 1, mint().shareId);
+
+    assert.equal((await verifyShareToken(token, SECRET, database)).valid, true);
+  });
+
+  test('throws UPSTREAM_ERROR when revocations can\'t be read', async () => {
+    const failing = createFakeSupabase({ [REVOCATIONS_TABLE]: [] }, { fail: () => ({ message: 'connection reset' }) });
+
+    await assert.rejects(verifyShareToken(mint().token, SECRET, failing), error => error instanceof UpstreamError);
+  });
+});
@@ -0,0 +1,55 @@
+/**
+ * Slide image embedding tests
+ * Covers which thumbnail hosts may be fetched; nothing here touches the
+ * network.
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { embedImage, isPrivateAddress } from '../src/services/slides.js';
+import './support/logging.js';
+
+describe('isPrivateAddress', () => {
+  const cases = [
+    ['127.0.0.1', true],
+    ['10.1.2.3', true],
+    ['172.20.0.1', true],
+    ['192.168.1.1', true],
+    ['169.254.169.254', true],
+    ['100.64.0.1', true],
+    ['0.0.0.0', true],
+    ['224.0.0.1', true],
+    ['::1', true],
+    ['::', true],
+    ['fd00::1', true],
+    ['fe80::1', true],
+    ['::ffff:127.0.0.1', true],
+    ['::ffff:169.254.169.254', true],
+    ['not an address', true],
+    ['93.184.216.34', false],
+    ['172.32.0.1', false],
+    ['2606:2800:220:1:248:1893:25c8:1946', false],
+  ];
+
+  cases.forEach(([address, expected]) => {
+    test(`${address} -> ${expected ? 'private' : 'public'}`, () => {
+      assert.equal(isPrivateAddress(address), expected);
+    });
+  });
+});
+
+describe('embedImage', () => {
+  const unfetched = [
+    'http://images.example/gift.png',
+    'https://localhost/gift.png',
+    'https://169.254.169.254/latest/meta-data/',
+    'https://[::1]/gift.png',
+    'not a url',
+  ];
+
+  unfetched.forEach((url) => {
+    test(`links ${url} without fetching it`, async () => {
+      assert.equal(await embedImage(url), url);
+    });
+  });
+});
@@ -0,0 +1,339 @@
+/**
+ * In-memory Supabase stand-in
+ * Implements the part of the supabase-js query builder this service uses
+ * over plain arrays of rows, so the calculator, batch jobs and HTTP app
+ * can run without a Supabase project. Builders are thenable and resolve
+ * to { data, error, count } like the real client; nothing is shared
+ * between tables, and rows are copied in and out so tests can't mutate
+ * the seed by accident.
+ *
+ * Filters compare the way PostgREST does for this schema: values are
+ * matched as strings for eq/in (ids may be numbers or strings), and as
+ * numbers or timestamps for range filters. Like Supabase's API, a select
+ * returns at most maxRows rows, so code that doesn't page gets cut short.
+ */
+
+const clone = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+const isNumeric = (value) => typeof value === 'number' || (typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value)));
+
+const TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2}/;
+
+/**
+ * Compare a column value with a filter value
+ * @param {*} a - Column value
+ * @param {*} b - Filter value
+ * @returns {number} Negative, zero or positive, like a sort comparator
+ */
+function compare(a, b) {
+  if (isNumeric(a) && isNumeric(b)) return Number(a) - Number(b);
+  if (TIMESTAMP_PATTERN.test(String(a)) && TIMESTAMP_PATTERN.test(String(b))) {
+    return new Date(a).getTime() - new Date(b).getTime();
+  }
+  return String(a).localeCompare(String(b));
+}
+
+const isNull = (value) => value === null || value === undefined;
+
+const sameValue = (a, b) => !isNull(a) && !isNull(b) && String(a) === String(b);
+
+// Filter value for `is`, as written in a query string or passed to .is()
+const isValue = (value) => (value === 'null' ? null : value === 'true' ? true : value === 'false' ? false : value);
+
+/**
+ * Build a row predicate for one filter
+ * @param {string} column - Column name
+ * @param {string} operator - eq, neq, in, gt, gte, lt, lte or is
+ * @param {*} value - Filter value (an array for `in`)
+ * @returns {Function} row => boolean
+ */
+function predicate(column, operator, value) {
+  switch (operator) {
+    case 'eq': return row => sameValue(row[column], value);
+    case 'neq': return row => !isNull(row[column]) && !sameValue(row[column], value);
+    case 'in': return row => value.some(entry => sameValue(row[column], entry));
+    case 'gt': return row => !isNull(row[column]) && compare(row[column], value) > 0;
+    case 'gte': return row => !isNull(row[column]) && compare(row[column], value) >= 0;
+    case 'lt': return row => !isNull(row[column]) && compare(row[column], value) < 0;
+    case 'lte': return row => !isNull(row[column]) && compare(row[column], value) <= 0;
+    case 'is': return row => (isNull(row[column]) ? null : row[column]) === isValue(value);
+    default: throw new Error(`Fake Supabase doesn't support the "${operator}" filter`);
+  }
+}
+
+/**
+ * Parse a PostgREST filter value written in a string, e.g. "(1,2,3)" for `in`
+ * @param {string} operator - Filter operator
+ * @param {string} value - Value as written
+ * @returns {*} Value as .eq()/.in() etc. would take it
+ */
+function parseFilterValue(operator, value) {
+  if (operator === 'in') {
+    return value.replace(/^\(|\)$/g, '').split(',').map(entry => entry.trim().replace(/^"|"$/g, '')).filter(Boolean);
+  }
+  return value;
+}
+
+/**
+ * Parse an .or() expression, e.g. "purchase_id.in.(1,2),list_id.eq.3"
+ * @param {string} expression - Comma-separated column.operator.value conditions
+ * @returns {Function} row => boolean, true when any condition matches
+ */
+function parseOr(expression) {
+  const conditions = [];
+  let depth = 0;
+  let current = '';
+  [...expression].forEach(char => {
+    if (char === '(') depth++;
+    if (char === ')') depth--;
+    if (char === ',' && depth === 0) {
+      conditions.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  });
+  if (current) conditions.push(current);
+
+  const predicates = conditions.map(condition => {
+    const [column, operator, ...rest] = condition.trim().split('.');
+    const negated = operator === 'not';
+    const [op, value] = negated ? [rest[0], rest.slice(1).join('.')] : [operator, rest.join('.')];
+    const test = predicate(column, op, parseFilterValue(op, value));
+    return negated ? row => !test(row) : test;
+  });
+  return row => predicates.some(test => test(row));
+}
+
+/**
+ * Keep only the selected columns of a row
+ * @param {Object} row - Stored row
+ * @param {string} columns - Select string, e.g. '*' or 'id, created_at'
+ * @returns {Object} Projected row
+ */
+function project(row, columns) {
+  if (!columns || columns.trim() === '*') return row;
+  const projected = {};
+  columns.split(',').map(column => column.trim()).filter(Boolean).forEach(column => {
+    if (column === '*') {
+      Object.assign(projected, row);
+    } else if (column in row) {
+      projected[column] = row[column];
+    }
+  });
+  return projected;
+}
+
+const noRowsError = (count) => ({
+  message: 'JSON object requested, multiple (or no) rows returned',
+  code: 'PGRST116',
+  details: `The result contains ${count} rows`,
+  hint: null,
+});
+
+/**
+ * Create an in-memory Supabase client
+ * @param {Object} tables - Table name -> array of rows (copied; the fake owns its own state)
+ * @param {Object} options - Fake options
+ * @param {Object} options.users - Access token -> auth user ({ id, ... }) for auth.getUser
+ * @param {Function} options.fail - (query) => error object or null, to simulate a failing query;
+ *   query is { table, action, filters: [{ column, operator, value }] }
+ * @param {number} options.maxRows - Most rows a select returns, like PostgREST's max-rows (default 1000)
+ * @returns {Object} Client with from(), auth.getUser(), tables and queries (a log of every query run)
+ */
+export function createFakeSupabase(tables = {}, { users = {}, fail = () => null, maxRows = 1000 } = {}) {
+  const state = clone(tables);
+  const queries = [];
+
+  const rowsOf = (table) => {
+    state[table] = state[table] || [];
+    return state[table];
+  };
+
+  /**
+   * Query builder for one table
+   * @param {string} table - Table name
+   * @returns {Object} Chainable, thenable builder
+   */
+  function query(table) {
+    const filters = [];
+    const predicates = [];
+    const orderings = [];
+    let action = 'select';
+    let columns = '*';
+    let countMode = null;
+    let head = false;
+    let window = null;
+    let singleMode = null;
+    let payload = null;
+    let conflictColumns = ['id'];
+    let returning = false;
+
+    const addFilter = (column, operator, value, test) => {
+      filters.push({ column, operator, value });
+      predicates.push(test);
+      return builder;
+    };
+
+    const builder = {
+      select(selected = '*', { count = null, head: headOnly = false } = {}) {
+        // After insert/upsert/update/delete, select() asks for the affected rows back
+        if (action !== 'select') {
+          returning = true;
+        }
+        columns = selected;
+        countMode = count;
+        head = headOnly;
+        return builder;
+      },
+      insert(rows) {
+        action = 'insert';
+        payload = Array.isArray(rows) ? rows : [rows];
+        return builder;
+      },
+      upsert(rows, { onConflict = 'id' } = {}) {
+        action = 'upsert';
+        payload = Array.isArray(rows) ? rows : [rows];
+        conflictColumns = onConflict.split(',').map(column => column.trim());
+        return builder;
+      },
+      update(values) {
+        action = 'update';
+        payload = values;
+        return builder;
+      },
+      delete() {
+        action = 'delete';
+        return builder;
+      },
+      eq: (column, value) => addFilter(column, 'eq', value, predicate(column, 'eq', value)),
+      neq: (column, value) => addFilter(column, 'neq', value, predicate(column, 'neq', value)),
+      in: (column, values) => addFilter(column, 'in', [...values], predicate(column, 'in', [...values])),
+      gt: (column, value) => addFilter(column, 'gt', value, predicate(column, 'gt', value)),
+      gte: (column, value) => addFilter(column, 'gte', value, predicate(column, 'gte', value)),
+      lt: (column, value) => addFilter(column, 'lt', value, predicate(column, 'lt', value)),
+      lte: (column, value) => addFilter(column, 'lte', value, predicate(column, 'lte', value)),
+      is: (column, value) => addFilter(column, 'is', value, predicate(column, 'is', value)),
+      not(column, operator, value) {
+        const test = predicate(column, operator, parseFilterValue(operator, value));
+        return addFilter(column, `not.${operator}`, value, row => !test(row));
+      },
+      or: (expression) => addFilter(null, 'or', expression, parseOr(expression)),
+      order(column, { ascending = true, nullsFirst = !ascending } = {}) {
+        orderings.push({ column, ascending, nullsFirst });
+        return builder;
+      },
+      range(from, to) {
+        window = [from, to + 1];
+        return builder;
+      },
+      limit(count) {
+        window = [window ? window[0] : 0, (window ? window[0] : 0) + count];
+        return builder;
+      },
+      single() {
+        singleMode = 'single';
+        return builder;
+      },
+      maybeSingle() {
+        singleMode = 'maybeSingle';
+        return builder;
+      },
+      then(resolve, reject) {
+        return Promise.resolve().then(run).then(resolve, reject);
+      },
+    };
+
+    const matches = (row) => predicates.every(test => test(row));
+
+    const sortRows = (rows) => [...rows].sort((a, b) => {
+      for (const { column, ascending, nullsFirst } of orderings) {
+        if (isNull(a[column]) || isNull(b[column])) {
+          if (isNull(a[column]) && isNull(b[column])) continue;
+          return isNull(a[column]) === nullsFirst ? -1 : 1;
+        }
+        const order = compare(a[column], b[column]);
+        if (order !== 0) return ascending ? order : -order;
+      }
+      return 0;
+    });
+
+    const respond = (rows, count = rows.length) => {
+      const output = rows.map(row => clone(project(row, columns)));
+      if (singleMode) {
+        if (output.length === 1) return { data: output[0], error: null, count: null };
+        if (output.length === 0 && singleMode === 'maybeSingle') return { data: null, error: null, count: null };
+        return { data: null, error: noRowsError(output.length), count: null };
+      }
+      return { data: head ? null : output, error: null, count: countMode ? count : null };
+    };
+
+    function write() {
+      const rows = rowsOf(table);
+      if (action === 'insert' || action === 'upsert') {
+        const written = payload.map(values => {
+          const existing = action === 'upsert'
+            ? rows.find(row => conflictColumns.every(column => sameValue(row[column], values[column])))
+            : null;
+          if (existing) {
+            Object.assign(existing, clone(values));
+            return existing;
+          }
+          const row = clone(values);
+          rows.push(row);
+          return row;
+        });
+        return returning ? respond(written) : { data: null, error: null, count: null };
+      }
+
+      const affected = rows.filter(matches);
+      if (action === 'update') {
+        affected.forEach(row => Object.assign(row, clone(payload)));
+      } else {
+        state[table] = rows.filter(row => !affected.includes(row));
+      }
+      return returning ? respond(affected) : { data: null, error: null, count: null };
+    }
+
+    function run() {
+      const failure = fail({ table, action, filters });
+      queries.push({ table, action, filters });
+      if (failure) return { data: null, error: failure, count: null };
+
+      if (action !== 'select') return write();
+
+      const rows = sortRows(rowsOf(table).filter(matches));
+      const windowed = window ? rows.slice(window[0], window[1]) : rows;
+      return respond(windowed.slice(0, maxRows), rows.length);
+    }
+
+    return builder;
+  }
+
+  return {
+    from: (table) => query(table),
+    auth: {
+      async getUser(token) {
+        const user = users[token];
+        return user
+          ? { data: { user: clone(user) }, error: null }
+          : { data: { user: null }, error: { message: 'invalid JWT', status: 401 } };
+      },
+    },
+    // Current contents of every table, for asserting on writes
+    tables: state,
+    // Every query run, in order: { table, action, filters }
+    queries,
+  };
+}
+
+/**
+ * Data clients for createApp backed by one fake
+ * Row-level security isn't modelled, so every caller sees every row;
+ * requireProfileAccess still checks ownership through the owner column.
+ * @param {Object} supabase - Client from createFakeSupabase
+ * @returns {{ supabase: Object, serviceClient: Object, shareClient: Object, forUser: Function }}
+ */
+export function fakeClients(supabase) {
+  return { supabase, serviceClient: supabase, shareClient: supabase, forUser: () => supabase };
+}
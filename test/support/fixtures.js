@@ -0,0 +1,48 @@
+/**
+ * Fixture and golden-file helpers
+ * Fixtures are JSON files in test/fixtures, one per table, holding the
+ * rows the fake Supabase is seeded with. Golden files in test/golden hold
+ * the expected output for a scenario; run the tests with UPDATE_GOLDEN=1
+ * to rewrite them after an intended change, then review the diff.
+ */
+
+import assert from 'node:assert/strict';
+import { existsSync, readFileSync, readdirSync, writeFileSync } from 'node:fs';
+import { basename, dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const TEST_DIR = join(dirname(fileURLToPath(import.meta.url)), '..');
+export const FIXTURES_DIR = join(TEST_DIR, 'fixtures');
+export const GOLDEN_DIR = join(TEST_DIR, 'golden');
+
+const readJson = (path) => JSON.parse(readFileSync(path, 'utf8'));
+
+/**
+ * Load every table fixture in a directory
+ * @param {string} dir - Directory of <table>.json files (defaults to test/fixtures)
+ * @returns {Object} Table name -> rows
+ */
+export function loadFixtures(dir = FIXTURES_DIR) {
+  return Object.fromEntries(readdirSync(dir)
+    .filter(file => file.endsWith('.json'))
+    .map(file => [basename(file, '.json'), readJson(join(dir, file))]));
+}
+
+/**
+ * Compare a value with its golden file, or rewrite the file when UPDATE_GOLDEN is set
+ * The value is compared as JSON, so undefined fields and Dates compare as they'd be sent.
+ * @param {string} name - Golden file name without .json, e.g. 'wrapped-ada-2024'
+ * @param {*} actual - Value to check
+ */
+export function assertGolden(name, actual) {
+  const path = join(GOLDEN_DIR, `${name}.json`);
+  const json = JSON.parse(JSON.stringify(actual));
+
+  if (process.env.UPDATE_GOLDEN) {
+    writeFileSync(path, `${JSON.stringify(json, null, 2)}\n`);
+    return;
+  }
+
+  assert.ok(existsSync(path), `Missing golden file ${name}.json; run the tests with UPDATE_GOLDEN=1 to create it`);
+  assert.deepEqual(json, readJson(path));
+}
@@ -0,0 +1,12 @@
+/**
+ * Test logging
+ * Importing this silences the service's log lines unless LOG_LEVEL is
+ * set, so `LOG_LEVEL=debug npm test` shows them again.
+ */
+
+import { createLogger } from '../../src/services/logger.js';
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'silent';
+
+// Logger to pass where a service takes one; follows LOG_LEVEL like the process logger
+export const logger = createLogger();
@@ -0,0 +1,82 @@
+/**
+ * Timezone tests
+ * Calendar helpers across the 2024 DST changes in New York (clocks jump
+ * from 02:00 to 03:00 on Mar 10 and fall back from 02:00 to 01:00 on
+ * Nov 3), and a New Year's Eve purchase that is already 2025 in UTC.
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { zonedTime, zonedYearRange, zonedDateKey, zonedDayNumber } from '../src/services/timezone.js';
+import { calculatePatientData } from '../src/services/dataCalculator.js';
+import { createFakeSupabase } from './support/fakeSupabase.js';
+import { logger } from './support/logging.js';
+
+const NEW_YORK = 'America/New_York';
+const LOS_ANGELES = 'America/Los_Angeles';
+
+describe('zonedTime', () => {
+  test('uses standard time before the spring change and daylight time after it', () => {
+    assert.equal(zonedTime(2024, 2, 10, NEW_YORK, 1).toISOString(), '2024-03-10T06:00:00.000Z');
+    assert.equal(zonedTime(2024, 2, 10, NEW_YORK, 3).toISOString(), '2024-03-10T07:00:00.000Z');
+  });
+
+  test('resolves the skipped 02:00 to the instant after the jump', () => {
+    assert.equal(zonedTime(2024, 2, 10, NEW_YORK, 2).toISOString(), '2024-03-10T07:00:00.000Z');
+  });
+
+  test('starts the days around the autumn change at local midnight', () => {
+    assert.equal(zonedTime(2024, 10, 3, NEW_YORK).toISOString(), '2024-11-03T04:00:00.000Z');
+    assert.equal(zonedTime(2024, 10, 4, NEW_YORK).toISOString(), '2024-11-04T05:00:00.000Z');
+  });
+});
+
+describe('zonedYearRange', () => {
+  test('runs from local midnight on Jan 1 to the last millisecond of Dec 31', () => {
+    const { yearStart, yearEnd } = zonedYearRange(2024, LOS_ANGELES);
+
+    assert.equal(yearStart.toISOString(), '2024-01-01T08:00:00.000Z');
+    assert.equal(yearEnd.toISOString(), '2025-01-01T07:59:59.999Z');
+  });
+});
+
+describe('zonedDayNumber', () => {
+  test('numbers the 23- and 25-hour days like any other', () => {
+    const days = ['2024-03-09T12:00:00Z', '2024-03-10T12:00:00Z', '2024-03-11T12:00:00Z']
+      .map(instant => zonedDayNumber(new Date(instant), NEW_YORK));
+    const autumn = ['2024-11-02T12:00:00Z', '2024-11-03T12:00:00Z', '2024-11-04T12:00:00Z']
+      .map(instant => zonedDayNumber(new Date(instant), NEW_YORK));
+
+    assert.deepEqual(days.map(day => day - days[0]), [0, 1, 2]);
+    assert.deepEqual(autumn.map(day => day - autumn[0]), [0, 1, 2]);
+  });
+
+  test('keeps an instant on the local date it falls on', () => {
+    // 23:30 on Nov 3, after the clocks fell back, is 04:30 UTC on Nov 4
+    const lateEvening = new Date('2024-11-04T04:30:00Z');
+
+    assert.equal(zonedDateKey(lateEvening, NEW_YORK), '2024-11-03');
+    assert.equal(zonedDayNumber(lateEvening, NEW_YORK), Date.UTC(2024, 10, 3) / (24 * 60 * 60 * 1000));
+  });
+});
+
+describe('calculatePatientData across the year boundary', () => {
+  // 23:30 on Dec 31 in Los Angeles is 07:30 on Jan 1 2025 in UTC
+  const supabase = createFakeSupabase({
+    profiles: [
+      { id: 1, user_id: 'user-la', first_name: 'Lou', last_name: 'Angeles', timezone: LOS_ANGELES, currency: 'USD' },
+      { id: 2, user_id: 'user-friend', first_name: 'Fran', last_name: 'Friend', timezone: 'UTC', currency: 'USD' },
+    ],
+    purchase: [{ id: 100, purchase_user: 1, created_at: '2025-01-01T07:30:00Z' }],
+    list: [{ id: 10, owner_user_id: 2, name: 'Wishlist', created_at: '2024-10-01T12:00:00Z', event_date: null }],
+    list_item: [{ id: 1000, list_id: 10, purchase_id: 100, title: 'Scarf', price: '20', created_at: '2024-10-02T12:00:00Z' }],
+  });
+
+  test('counts a New Year\'s Eve purchase in the profile\'s year, not UTC\'s', async () => {
+    const calculate = (year, options = {}) => calculatePatientData(supabase, 1, year, { now: new Date('2025-02-01T00:00:00Z'), logger, ...options });
+
+    assert.equal((await calculate(2024)).stats.totalGiftsGiven, 1);
+    assert.equal((await calculate(2025)).stats.totalGiftsGiven, 0);
+    assert.equal((await calculate(2024, { timeZone: 'UTC' })).stats.totalGiftsGiven, 0);
+  });
+});
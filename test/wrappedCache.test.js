@@ -0,0 +1,137 @@
+/**
+ * Wrapped cache tests
+ * Each cache store stands for one server instance; the fake database is
+ * shared between them, like Supabase is between Vercel instances. Stored
+ * precomputed results are only used while they can still be right.
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getWrappedData, invalidateProfile, INVALIDATIONS_TABLE } from '../src/services/wrappedCache.js';
+import { savePrecomputed } from '../src/services/precompute.js';
+import { createMemoryCache } from '../src/services/cache.js';
+import { createFakeSupabase } from './support/fakeSupabase.js';
+import { loadFixtures } from './support/fixtures.js';
+import { logger } from './support/logging.js';
+
+const YEAR = 2024;
+const NOW = new Date('2025-01-15T00:00:00Z');
+
+const get = (cache, supabase, options = {}) => getWrappedData(cache, supabase, 1, YEAR, { now: NOW, logger, ...options });
+
+describe('getWrappedData', () => {
+  test('serves repeat requests from the cache', async () => {
+    const supabase = createFakeSupabase(loadFixtures());
+    const cache = createMemoryCache();
+
+    assert.equal((await get(cache, supabase)).cached, false);
+    assert.equal((await get(cache, supabase)).cached, true);
+  });
+
+  test('skips results cached on any instance before an invalidation', async () => {
+    const supabase = createFakeSupabase(loadFixtures());
+    const instanceA = createMemoryCache();
+    const instanceB = createMemoryCache();
+    await get(instanceA, supabase);
+    await get(instanceB, supabase);
+
+    await invalidateProfile(supabase, 1, logger);
+
+    assert.equal(supabase.tables[INVALIDATIONS_TABLE].length, 1);
+    assert.equal((await get(instanceA, supabase)).cached, false);
+    assert.equal((await get(instanceB, supabase)).cached, false);
+  });
+
+  test('keeps invalidations when the cache evicts entries', async () => {
+    const supabase = createFakeSupabase(loadFixtures());
+    const cache = createMemoryCache({ maxEntries: 2 });
+    await get(cache, supabase);
+    await invalidateProfile(supabase, 1, logger);
+    await cache.set('other:1', true, 60000);
+    await cache.set('other:2', true, 60000);
+
+    const { cached } = await get(cache, supabase);
+
+    assert.equal(cached, false);
+  });
+
+  test('calculates live without caching when invalidations can\'t be read', async () => {
+    const supabase = createFakeSupabase(loadFixtures(), {
+      fail: ({ table }) => (table === INVALIDATIONS_TABLE ? { message: 'connection reset' } : null),
+    });
+    const cache = createMemoryCache();
+
+    const first = await get(cache, supabase);
+    const second = await get(cache, supabase);
+
+    assert.equal(first.data.profileId, 1);
+    assert.equal(second.cached, false);
+  });
+
+  test('reads invalidations with the client it is given', async () => {
+    const supabase = createFakeSupabase(loadFixtures());
+    const service = createFakeSupabase({ [INVALIDATIONS_TABLE]: [] });
+    const cache = createMemoryCache();
+    await get(cache, supabase, { invalidationClient: service });
+
+    await invalidateProfile(service, 1, logger);
+
+    assert.equal((await get(cache, supabase, { invalidationClient: service })).cached, false);
+    assert.deepEqual(supabase.queries.filter(query => query.table === INVALIDATIONS_TABLE), []);
+  });
+
+  test('keeps results calculated for share views apart from the owner\'s', async () => {
+    const supabase = createFakeSupabase(loadFixtures());
+    const cache = createMemoryCache();
+    await get(cache, supabase);
+
+    assert.equal((await get(cache, supabase, { clientRole: 'share' })).cached, false);
+    assert.equal((await get(cache, supabase, { clientRole: 'share' })).cached, true);
+    assert.equal((await get(cache, supabase)).cached, true);
+  });
+});
+
+describe('precomputed results', () => {
+  const stored = { profileId: 1, year: YEAR, timeZone: 'America/New_York', warnings: [] };
+
+  const precomputedAt = async (computedAt, year = YEAR) => {
+    const supabase = createFakeSupabase(loadFixtures());
+    await savePrecomputed(supabase, { ...stored, year }, new Date(computedAt));
+    return supabase;
+  };
+
+  test('serves a result computed after its year closed', async () => {
+    const supabase = await precomputedAt('2025-01-02T00:00:00Z');
+
+    const { data, precomputed } = await get(createMemoryCache(), supabase);
+
+    assert.equal(precomputed, true);
+    assert.deepEqual(data, stored);
+  });
+
+  test('serves a recent result for a year that is still open', async () => {
+    const supabase = await precomputedAt(NOW.getTime() - 60 * 60 * 1000, 2025);
+
+    const { precomputed } = await getWrappedData(createMemoryCache(), supabase, 1, 2025, { now: NOW, logger });
+
+    assert.equal(precomputed, true);
+  });
+
+  test('only serves them to the owner\'s client', async () => {
+    const supabase = await precomputedAt('2025-01-02T00:00:00Z');
+
+    const { precomputed } = await get(createMemoryCache(), supabase, { clientRole: 'share' });
+
+    assert.equal(precomputed, false);
+  });
+
+  test('calculates live when a result computed before its year closed has gone stale', async () => {
+    // Computed while 2024 was still open in New York
+    const supabase = await precomputedAt('2024-12-31T20:00:00Z');
+
+    const { data, precomputed } = await get(createMemoryCache(), supabase);
+
+    assert.equal(precomputed, false);
+    assert.equal(data.stats.totalGiftsGiven, 6);
+  });
+});